@@ -1,5 +1,14 @@
 import { Presets, SingleBar } from "cli-progress";
-import { writeFile } from "fs/promises";
+import { once } from "events";
+import { createWriteStream } from "fs";
+import { mkdir, readFile, writeFile } from "fs/promises";
+import { availableParallelism } from "os";
+import { extname, join, resolve } from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { isMainThread, parentPort, Worker, workerData } from "worker_threads";
+
+import { createSharedSeries, INDICATORS } from "./indicators.js";
 
 function getTimestampYearsAgo(years) {
   const currentDate = new Date();
@@ -11,22 +20,93 @@ function getTimestampYearsAgo(years) {
 const CONFIG = {
   SYMBOL: "BTCUSDT",
   ORDER_AMOUNT_PERCENT: 100,
+  POSITION_SIZING: "PERCENT",
+  RISK_PER_TRADE_PERCENT: 1,
+  VOLATILITY_TARGET_PERCENT: 1,
+  SIZING_ATR_PERIOD: 14,
+  KELLY_FRACTION: 0.5,
+  KELLY_MIN_TRADES: 20,
+  FIXED_NOTIONAL: 1000,
+  PYRAMIDING_LAYERS: 1,
+  PYRAMIDING_MIN_BARS: 10,
+  PYRAMIDING_MIN_DISTANCE_PERCENT: 0,
   KLINE_INTERVAL: "1h",
   KLINE_LIMIT: 1500,
   INITIAL_FUNDING: 100,
   FEE: 0.0005,
+  MAKER_FEE: 0.0002,
   FUNDING_RATE: 0.0001,
+  FUNDING_RATE_SOURCE: null,
+  FUNDING_RATE_FILE_PATH: null,
+  TRADE_DIRECTION: "LONG",
+  STRATEGY: "RSI",
   RSI_LONG_PERIOD_SETTING: { min: 5, max: 100, step: 5 },
   RSI_SHORT_PERIOD_SETTING: { min: 5, max: 100, step: 5 },
   RSI_LONG_LEVEL_SETTING: { min: 5, max: 100, step: 5 },
   RSI_SHORT_LEVEL_SETTING: { min: 5, max: 100, step: 5 },
+  MA_FAST_PERIOD_SETTING: { min: 5, max: 50, step: 5 },
+  MA_SLOW_PERIOD_SETTING: { min: 20, max: 200, step: 20 },
+  MA_TREND_PERIOD_SETTING: { min: 50, max: 200, step: 50 },
+  HTF_INTERVAL: "4h",
+  HTF_MA_PERIOD_SETTING: { min: 10, max: 50, step: 10 },
+  BREAKOUT_ENTRY_PERIOD_SETTING: { min: 10, max: 100, step: 10 },
+  BREAKOUT_EXIT_PERIOD_SETTING: { min: 5, max: 50, step: 5 },
   LEVERAGE_SETTING: { min: 1, max: 1, step: 1 },
+  STOP_LOSS_TYPE: "NONE",
+  STOP_LOSS_SETTING: { min: 1, max: 10, step: 1 },
+  TAKE_PROFIT_TYPE: "NONE",
+  TAKE_PROFIT_SETTING: { min: 2, max: 20, step: 2 },
+  TAKE_PROFIT_TRANCHES: [100],
+  IS_TRAILING_STOP: false,
+  EXIT_ATR_PERIOD: 14,
+  ENTRY_ORDER_TYPE: "MARKET",
+  LIMIT_ENTRY_OFFSET_PERCENT: 0.1,
+  SLIPPAGE_MODEL: "NONE",
+  SLIPPAGE_BPS: 2,
+  SLIPPAGE_FACTOR: 0.1,
+  SLIPPAGE_ATR_PERIOD: 14,
+  MARGIN_TYPE: "ISOLATED",
+  LEVERAGE_BRACKET_FILE_PATH: null,
   RANDOM_SAMPLE_NUMBER: null,
+  SEARCH_METHOD: "GRID",
+  SEARCH_BUDGET: 500,
+  SEARCH_SEED: 42,
+  SEARCH_POPULATION_SIZE: 20,
+  IS_GRID_COMPARISON_ENABLED: false,
   KLINE_START_TIME: getTimestampYearsAgo(10),
   IS_KLINE_START_TIME_TO_NOW: true,
+  KLINE_END_TIME: null,
+  IS_KLINE_STORE_ENABLED: true,
+  KLINE_STORE_DIR: "kline-store",
+  KLINE_SOURCE_INTERVAL: null,
+  KLINE_REPAIR: "NONE",
+  DATA_SOURCE: "API",
+  KLINE_FILE_PATH: null,
+  EXCHANGE_INFO_FILE_PATH: null,
   HOUR_MS: 1000 * 60 * 60,
   FUNDING_PERIOD_MS: 8 * 1000 * 60 * 60,
-  MAX_DRAWDOWN_THRESHOLD: 0.5
+  MAX_DRAWDOWN_THRESHOLD: 0.5,
+  MONTE_CARLO_RUNS: 1000,
+  MONTE_CARLO_SEED: 42,
+  MODE: "OPTIMIZE",
+  WALK_FORWARD_TRAIN_BARS: 24 * 180,
+  WALK_FORWARD_TEST_BARS: 24 * 30,
+  IS_WALK_FORWARD_ANCHORED: false,
+  PARAMETER_SET: null,
+  PORTFOLIO_SYMBOLS: ["BTCUSDT", "ETHUSDT"],
+  PORTFOLIO_ALLOCATION: "EQUAL",
+  PORTFOLIO_WEIGHTS: null,
+  PORTFOLIO_VOLATILITY_BARS: 24 * 30,
+  MAX_CONCURRENT_POSITIONS: null,
+  SCAN_SYMBOLS: null,
+  SCAN_TOP_N: 1,
+  WORKER_COUNT: availableParallelism(),
+  OPTIMIZATION_OBJECTIVE: "TOTAL_RETURN",
+  OBJECTIVE_WEIGHTS: { SHARPE: 1, CALMAR: 1 },
+  MIN_TRADES: 0,
+  MIN_EXPOSURE: 0,
+  LEADERBOARD_SIZE: 10,
+  RESULTS_EXPORT_PATH: null
 };
 
 const cache = new Map();
@@ -60,6 +140,7 @@ const nodeCache = {
 };
 
 const BASE_URL = "https://fapi.binance.com";
+const FUNDING_RATE_LIMIT = 1000;
 
 const buildQueryString = (params) => {
   const queryParams = new URLSearchParams();
@@ -130,159 +211,761 @@ const klineDataAPI = async (params) => {
   return responseData;
 };
 
-const getOriginalKlineData = async () => {
-  const now = Date.now();
-  const originalKlineData = [];
-  let startTime = CONFIG.KLINE_START_TIME;
+const fundingRateAPI = async (params) => {
+  const responseData = await getBinanceFuturesAPI(
+    "/fapi/v1/fundingRate",
+    params
+  );
+  return responseData;
+};
+
+/**
+ * 從指定時間開始分頁抓取K線
+ */
+const fetchKlineData = async (startTime, interval = CONFIG.KLINE_INTERVAL) => {
+  const endTime = CONFIG.KLINE_END_TIME ?? Date.now();
+  const klineData = [];
   do {
     const params = {
       symbol: CONFIG.SYMBOL,
-      interval: CONFIG.KLINE_INTERVAL,
+      interval,
       limit: CONFIG.KLINE_LIMIT,
       startTime
     };
-    const klineData = await klineDataAPI(params);
-    originalKlineData.push(...klineData);
-    if (klineData.length > 0) {
-      startTime = klineData[klineData.length - 1][6] + 1;
-    }
+    const pageData = await klineDataAPI(params);
+    if (pageData.length === 0) break;
+    klineData.push(...pageData);
+    startTime = pageData[pageData.length - 1][6] + 1;
     if (!CONFIG.IS_KLINE_START_TIME_TO_NOW) break;
-  } while (startTime && startTime < now);
-  return originalKlineData;
+  } while (startTime < endTime);
+  return klineData;
 };
 
-const getKlineData = async () => {
-  const klineData = await getOriginalKlineData();
-  const results = klineData.map((kline) => ({
-    openPrice: Number(kline[1]),
-    highPrice: Number(kline[2]),
-    lowPrice: Number(kline[3]),
-    closePrice: Number(kline[4]),
-    volume: Number(kline[5]),
-    openTime: kline[0],
-    closeTime: kline[6]
-  }));
-  return results;
+/**
+ * 分頁抓取起訖時間內的歷史資金費率結算
+ */
+const fetchFundingRateHistory = async (startTime, endTime) => {
+  const fundingRateHistory = [];
+  do {
+    const params = {
+      symbol: CONFIG.SYMBOL,
+      startTime,
+      endTime,
+      limit: FUNDING_RATE_LIMIT
+    };
+    const pageData = await fundingRateAPI(params);
+    if (pageData.length === 0) break;
+    fundingRateHistory.push(
+      ...pageData.map((item) => ({
+        fundingTime: Number(item.fundingTime),
+        fundingRate: Number(item.fundingRate)
+      }))
+    );
+    startTime = Number(pageData[pageData.length - 1].fundingTime) + 1;
+    if (pageData.length < FUNDING_RATE_LIMIT) break;
+  } while (startTime < endTime);
+  return fundingRateHistory;
 };
 
-let klineCache = [];
-let closePricesCache = null;
-let rsiCache = new Map();
+/**
+ * 依回測起訖時間篩選K線
+ */
+const filterKlineDataByTime = (klineData) =>
+  klineData.filter(
+    (kline) =>
+      kline[0] >= CONFIG.KLINE_START_TIME &&
+      (CONFIG.KLINE_END_TIME === null || kline[0] < CONFIG.KLINE_END_TIME)
+  );
 
-const shouldRefreshKlineCache = (data) => {
-  return data.length === 0;
+// ==================== Kline Store ====================
+
+/**
+ * 取得K線儲存檔路徑（每個交易對與週期一個檔案）
+ */
+const getKlineStorePath = (interval) =>
+  join(CONFIG.KLINE_STORE_DIR, `${CONFIG.SYMBOL}-${interval}.json`);
+
+const readKlineStore = async (interval) => {
+  try {
+    const content = await readFile(getKlineStorePath(interval), "utf-8");
+    return JSON.parse(content);
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
 };
 
-const shouldRefreshRsiCache = () => {
-  return rsiCache.size === 0;
+const writeKlineStore = async (store, interval) => {
+  await mkdir(CONFIG.KLINE_STORE_DIR, { recursive: true });
+  await writeFile(getKlineStorePath(interval), JSON.stringify(store), "utf-8");
 };
 
-const getKlineCache = async () => {
-  if (shouldRefreshKlineCache(klineCache)) {
-    const klineData = await getKlineData();
-    klineCache = klineData;
+/**
+ * 讀取本地K線並只補抓最後一根已收盤K線之後的資料
+ * 只有已收盤的K線會寫入儲存檔，未收盤的K線每次重新抓取
+ */
+const syncKlineStore = async (interval) => {
+  const now = Date.now();
+  let store = await readKlineStore(interval);
+  if (!store || CONFIG.KLINE_START_TIME < store.startTime) {
+    store = { startTime: CONFIG.KLINE_START_TIME, klines: [] };
+  }
 
-    closePricesCache = new Array(klineData.length);
-    for (let i = 0; i < klineData.length; i++) {
-      closePricesCache[i] = klineData[i].closePrice;
+  const storedKlineData = filterKlineDataByTime(store.klines);
+  if (
+    !CONFIG.IS_KLINE_START_TIME_TO_NOW &&
+    storedKlineData.length >= CONFIG.KLINE_LIMIT
+  ) {
+    return storedKlineData.slice(0, CONFIG.KLINE_LIMIT);
+  }
+
+  const lastStoredKline = store.klines[store.klines.length - 1];
+  if (
+    lastStoredKline &&
+    CONFIG.KLINE_END_TIME !== null &&
+    lastStoredKline[6] >= CONFIG.KLINE_END_TIME - 1
+  ) {
+    return storedKlineData;
+  }
+
+  const syncStartTime = lastStoredKline
+    ? lastStoredKline[6] + 1
+    : store.startTime;
+  const newKlineData = await fetchKlineData(syncStartTime, interval);
+  const closedKlineData = newKlineData.filter((kline) => kline[6] < now);
+  const openKlineData = newKlineData.filter((kline) => kline[6] >= now);
+
+  if (closedKlineData.length > 0) {
+    store.klines = store.klines.concat(closedKlineData);
+    await writeKlineStore(store, interval);
+  }
+
+  const klineData = filterKlineDataByTime([...store.klines, ...openKlineData]);
+  return CONFIG.IS_KLINE_START_TIME_TO_NOW
+    ? klineData
+    : klineData.slice(0, CONFIG.KLINE_LIMIT);
+};
+
+// ==================== End of Kline Store ====================
+
+// ==================== File Data Source ====================
+
+/**
+ * 解析CSV K線（Binance Vision格式，可有或沒有標題列）
+ */
+const parseKlineCsv = (content) => {
+  const klineData = [];
+  for (const line of content.split(/\r?\n/)) {
+    const trimmedLine = line.trim();
+    if (!trimmedLine) continue;
+    const columns = trimmedLine.split(",");
+    if (Number.isNaN(Number(columns[0]))) continue;
+    klineData.push([
+      Number(columns[0]),
+      columns[1],
+      columns[2],
+      columns[3],
+      columns[4],
+      columns[5],
+      Number(columns[6])
+    ]);
+  }
+  return klineData;
+};
+
+/**
+ * 解析JSON K線，支援API原始陣列格式或getKlineData輸出的物件格式
+ */
+const parseKlineJson = (content) => {
+  const data = JSON.parse(content);
+  if (!Array.isArray(data)) {
+    throw new Error("Kline JSON file must contain an array of klines");
+  }
+  return data.map((kline) =>
+    Array.isArray(kline)
+      ? kline
+      : [
+          kline.openTime,
+          kline.openPrice,
+          kline.highPrice,
+          kline.lowPrice,
+          kline.closePrice,
+          kline.volume,
+          kline.closeTime
+        ]
+  );
+};
+
+/**
+ * 將微秒時間戳轉換為毫秒
+ */
+const normalizeTimestamp = (timestamp) =>
+  timestamp > 1e14 ? Math.floor(timestamp / 1000) : timestamp;
+
+/**
+ * 檔案路徑中的 {symbol} 替換為目前交易對，多交易對模式可各自讀取檔案
+ */
+const resolveSymbolFilePath = (filePath) =>
+  filePath.replaceAll("{symbol}", CONFIG.SYMBOL);
+
+const loadKlineDataFromFile = async () => {
+  if (!CONFIG.KLINE_FILE_PATH) {
+    throw new Error("KLINE_FILE_PATH is required when DATA_SOURCE is FILE");
+  }
+  const filePath = resolveSymbolFilePath(CONFIG.KLINE_FILE_PATH);
+  const content = await readFile(filePath, "utf-8");
+  const extension = extname(filePath).toLowerCase();
+  let klineData;
+  if (extension === ".csv") {
+    klineData = parseKlineCsv(content);
+  } else if (extension === ".json") {
+    klineData = parseKlineJson(content);
+  } else {
+    throw new Error(`Unsupported kline file format: ${extension}`);
+  }
+
+  const results = filterKlineDataByTime(
+    klineData.map((kline) => {
+      const normalizedKline = [...kline];
+      normalizedKline[0] = normalizeTimestamp(Number(kline[0]));
+      normalizedKline[6] = normalizeTimestamp(Number(kline[6]));
+      return normalizedKline;
+    })
+  );
+  return CONFIG.IS_KLINE_START_TIME_TO_NOW
+    ? results
+    : results.slice(0, CONFIG.KLINE_LIMIT);
+};
+
+const loadExchangeInformationFromFile = async () => {
+  if (!CONFIG.EXCHANGE_INFO_FILE_PATH) {
+    throw new Error(
+      "EXCHANGE_INFO_FILE_PATH is required when DATA_SOURCE is FILE"
+    );
+  }
+  const content = await readFile(CONFIG.EXCHANGE_INFO_FILE_PATH, "utf-8");
+  return JSON.parse(content);
+};
+
+/**
+ * 讀取本地資金費率歷史，支援API原始JSON或Binance Vision CSV（calc_time, funding_interval_hours, last_funding_rate）
+ */
+const loadFundingRateHistoryFromFile = async () => {
+  if (!CONFIG.FUNDING_RATE_FILE_PATH) {
+    throw new Error(
+      "FUNDING_RATE_FILE_PATH is required when FUNDING_RATE_SOURCE is FILE"
+    );
+  }
+  const filePath = resolveSymbolFilePath(CONFIG.FUNDING_RATE_FILE_PATH);
+  const content = await readFile(filePath, "utf-8");
+  const extension = extname(filePath).toLowerCase();
+  let fundingRateHistory;
+  if (extension === ".csv") {
+    fundingRateHistory = [];
+    for (const line of content.split(/\r?\n/)) {
+      const columns = line.trim().split(",");
+      if (Number.isNaN(Number(columns[0])) || columns.length < 2) continue;
+      fundingRateHistory.push({
+        fundingTime: Number(columns[0]),
+        fundingRate: Number(columns[columns.length - 1])
+      });
+    }
+  } else if (extension === ".json") {
+    const data = JSON.parse(content);
+    if (!Array.isArray(data)) {
+      throw new Error("Funding rate JSON file must contain an array");
     }
+    fundingRateHistory = data.map((item) => ({
+      fundingTime: Number(item.fundingTime),
+      fundingRate: Number(item.fundingRate)
+    }));
+  } else {
+    throw new Error(`Unsupported funding rate file format: ${extension}`);
   }
-  return klineCache;
+  return fundingRateHistory
+    .map((item) => ({
+      ...item,
+      fundingTime: normalizeTimestamp(item.fundingTime)
+    }))
+    .sort((a, b) => a.fundingTime - b.fundingTime);
+};
+
+// ==================== End of File Data Source ====================
+
+// ==================== Kline Resampling & Validation ====================
+
+const KLINE_GAP_REPORT_LIMIT = 5;
+
+const INTERVAL_UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
 };
 
-const getClosePricesCache = async () => {
-  if (closePricesCache) return closePricesCache;
-  const klineData = await getKlineCache();
-  closePricesCache = new Array(klineData.length);
-  for (let i = 0; i < klineData.length; i++)
-    closePricesCache[i] = klineData[i].closePrice;
-  return closePricesCache;
+// 幣安週K從週一 00:00 UTC 開始，1970-01-01 為週四
+const WEEK_OFFSET_MS = 4 * INTERVAL_UNIT_MS.d;
+
+/**
+ * 固定長度週期的毫秒數，月K長度不固定時回傳null
+ */
+const getIntervalMs = (interval) =>
+  interval === "1M"
+    ? null
+    : Number(interval.slice(0, -1)) * INTERVAL_UNIT_MS[interval.slice(-1)];
+
+/**
+ * 較長週期能否由 baseInterval 的K線完整合併：長度須為整數倍，週K與月K要求基礎週期能整除一天
+ */
+const isResamplableInterval = (baseInterval, interval) => {
+  const baseMs = getIntervalMs(baseInterval);
+  if (baseMs === null) return false;
+  if (interval === "1w" || interval === "1M") {
+    return INTERVAL_UNIT_MS.d % baseMs === 0;
+  }
+  const intervalMs = getIntervalMs(interval);
+  return intervalMs > baseMs && intervalMs % baseMs === 0;
 };
 
-const computeRSI = (values, periods) => {
-  const results = {};
-  const valuesLength = values.length;
-  if (valuesLength < 2) {
-    for (const period of periods)
-      results[period] = new Array(valuesLength).fill(null);
-    return results;
+/**
+ * 時間點所屬週期K線的開盤時間，依幣安的UTC對齊方式（週K從週一、月K從每月1日開始）
+ */
+const getIntervalOpenTime = (timestamp, interval) => {
+  if (interval === "1M") {
+    const date = new Date(timestamp);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
   }
+  const intervalMs = getIntervalMs(interval);
+  const offset = interval === "1w" ? WEEK_OFFSET_MS : 0;
+  return (
+    timestamp -
+    ((((timestamp - offset) % intervalMs) + intervalMs) % intervalMs)
+  );
+};
 
-  const changesLength = valuesLength - 1;
-  const changes = new Array(changesLength);
-  for (let i = 0; i < changesLength; i++) {
-    changes[i] = values[i + 1] - values[i];
+/**
+ * 週期K線的收盤時間（下一根開盤前1毫秒）
+ */
+const getIntervalCloseTime = (openTime, interval) => {
+  if (interval === "1M") {
+    const date = new Date(openTime);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) - 1;
   }
+  return openTime + getIntervalMs(interval) - 1;
+};
 
-  for (const period of periods) {
-    const result = new Array(valuesLength).fill(null);
-    if (valuesLength < period + 1) {
-      results[period] = result;
+/**
+ * 將K線合併為較長週期：開高低收與成交量依序合併，資金費率加總
+ * 資料起點不在週期開頭時略過不完整的第一根；最後一根可能尚未收完，closeTime 仍為週期結束時間
+ */
+const resampleKlines = (klineData, interval) => {
+  const resampled = [];
+  let current = null;
+  for (const kline of klineData) {
+    const openTime = getIntervalOpenTime(kline.openTime, interval);
+    if (current && current.openTime === openTime) {
+      current.highPrice = Math.max(current.highPrice, kline.highPrice);
+      current.lowPrice = Math.min(current.lowPrice, kline.lowPrice);
+      current.closePrice = kline.closePrice;
+      current.volume += kline.volume;
+      current.fundingRate += kline.fundingRate;
       continue;
     }
+    if (!current && kline.openTime !== openTime) continue;
+    current = {
+      ...kline,
+      openTime,
+      closeTime: getIntervalCloseTime(openTime, interval)
+    };
+    resampled.push(current);
+  }
+  return resampled;
+};
 
-    let gain = 0;
-    let loss = 0;
-    for (let i = 0; i < period; i++) {
-      const change = changes[i];
-      if (change > 0) {
-        gain += change;
-      } else {
-        loss -= change;
-      }
-    }
+/**
+ * 依 openTime 排序並去除重複，同一時間保留較晚出現的K線（分頁邊界重抓時較新）
+ */
+const sortUniqueKlines = (klineData) => {
+  const klinesByOpenTime = new Map();
+  for (const kline of klineData) klinesByOpenTime.set(kline.openTime, kline);
+  return Array.from(klinesByOpenTime.values()).sort(
+    (a, b) => a.openTime - b.openTime
+  );
+};
 
-    const periodMinusOne = period - 1;
-    const periodReciprocal = 1 / period;
+/**
+ * 檢查K線的重複 openTime、未遞增的 openTime、缺漏的K線，以及在 asOf 時仍未收盤的最後一根
+ * 缺口以排序去重後相鄰兩根之間應有的週期K線計算
+ */
+const inspectKlineData = (klineData, interval, asOf) => {
+  const openTimes = new Set();
+  let duplicates = 0;
+  let outOfOrder = 0;
+  klineData.forEach((kline, index) => {
+    if (openTimes.has(kline.openTime)) {
+      duplicates++;
+    } else if (index > 0 && kline.openTime < klineData[index - 1].openTime) {
+      outOfOrder++;
+    }
+    openTimes.add(kline.openTime);
+  });
 
-    for (let i = period; i < valuesLength; i++) {
-      const change = changes[i - 1];
-      const maxChange = change > 0 ? change : 0;
-      const maxNegChange = change < 0 ? -change : 0;
+  const sortedKlineData = sortUniqueKlines(klineData);
+  const gaps = [];
+  for (let i = 1; i < sortedKlineData.length; i++) {
+    const startTime =
+      getIntervalCloseTime(sortedKlineData[i - 1].openTime, interval) + 1;
+    const endTime = sortedKlineData[i].openTime;
+    let missingBars = 0;
+    for (
+      let openTime = startTime;
+      openTime < endTime;
+      openTime = getIntervalCloseTime(openTime, interval) + 1
+    ) {
+      missingBars++;
+    }
+    if (missingBars > 0) gaps.push({ startTime, endTime, missingBars });
+  }
+  const lastKline = sortedKlineData[sortedKlineData.length - 1];
 
-      gain = (gain * periodMinusOne + maxChange) * periodReciprocal;
-      loss = (loss * periodMinusOne + maxNegChange) * periodReciprocal;
+  return {
+    duplicates,
+    outOfOrder,
+    gaps,
+    missingBars: gaps.reduce((sum, gap) => sum + gap.missingBars, 0),
+    isLastKlineOpen: Boolean(lastKline) && lastKline.closeTime >= asOf
+  };
+};
 
-      if (loss === 0) {
-        result[i] = 100;
-      } else {
-        result[i] = 100 - 100 / (1 + gain / loss);
+/**
+ * DROP 排序去重並移除未收盤的最後一根，缺口保持空缺；FILL 另以前一根收盤價補上成交量為0的K線
+ */
+const repairKlineData = (klineData, interval, inspection) => {
+  const sortedKlineData = sortUniqueKlines(klineData);
+  if (inspection.isLastKlineOpen) sortedKlineData.pop();
+  if (CONFIG.KLINE_REPAIR !== "FILL") return sortedKlineData;
+
+  const filledKlineData = [];
+  for (const kline of sortedKlineData) {
+    const previousKline = filledKlineData[filledKlineData.length - 1];
+    if (previousKline) {
+      const { closePrice } = previousKline;
+      for (
+        let openTime =
+          getIntervalCloseTime(previousKline.openTime, interval) + 1;
+        openTime < kline.openTime;
+        openTime = getIntervalCloseTime(openTime, interval) + 1
+      ) {
+        filledKlineData.push({
+          openPrice: closePrice,
+          highPrice: closePrice,
+          lowPrice: closePrice,
+          closePrice,
+          volume: 0,
+          openTime,
+          closeTime: getIntervalCloseTime(openTime, interval),
+          fundingRate: 0
+        });
       }
     }
+    filledKlineData.push(kline);
+  }
+  return filledKlineData;
+};
+
+/**
+ * 格式化K線檢查結果，沒有問題時回傳空字串
+ */
+const formatKlineInspection = (inspection, interval) => {
+  const { duplicates, outOfOrder, gaps, missingBars, isLastKlineOpen } =
+    inspection;
+  const issues = [];
+  if (duplicates > 0) issues.push(`${duplicates} duplicate(s)`);
+  if (outOfOrder > 0) issues.push(`${outOfOrder} out of order`);
+  if (gaps.length > 0) {
+    issues.push(`${gaps.length} gap(s) with ${missingBars} missing bar(s)`);
+  }
+  if (isLastKlineOpen) issues.push("last kline still open");
+  if (issues.length === 0) return "";
+
+  const actions = {
+    NONE: "kept as is",
+    DROP: "sorted, deduplicated and open kline dropped",
+    FILL: "sorted, deduplicated, open kline dropped and gaps filled"
+  };
+  const lines = [
+    `⚠ ${CONFIG.SYMBOL} ${interval} klines: ${issues.join(", ")} (${
+      actions[CONFIG.KLINE_REPAIR]
+    })`
+  ];
+  for (const gap of gaps.slice(0, KLINE_GAP_REPORT_LIMIT)) {
+    lines.push(
+      `  Gap ${getReadableTime(gap.startTime)} ~ ${getReadableTime(
+        gap.endTime - 1
+      )} (${gap.missingBars} bar(s))`
+    );
+  }
+  if (gaps.length > KLINE_GAP_REPORT_LIMIT) {
+    lines.push(`  ... ${gaps.length - KLINE_GAP_REPORT_LIMIT} more gap(s)`);
+  }
+  return lines.join("\n");
+};
+
+/**
+ * 檢查K線並回報問題，依 KLINE_REPAIR 修復
+ */
+const checkKlineData = (klineData, interval, asOf) => {
+  const inspection = inspectKlineData(klineData, interval, asOf);
+  const text = formatKlineInspection(inspection, interval);
+  if (text) console.log(text);
+  if (CONFIG.KLINE_REPAIR === "NONE") return klineData;
+  return repairKlineData(klineData, interval, inspection);
+};
+
+// ==================== End of Kline Resampling & Validation ====================
+
+const getExchangeInformation = async () => {
+  if (CONFIG.DATA_SOURCE === "FILE") {
+    return await loadExchangeInformationFromFile();
+  }
+  return await exchangeInformationAPI();
+};
+
+const getOriginalKlineData = async (interval) => {
+  if (CONFIG.DATA_SOURCE === "FILE") {
+    return await loadKlineDataFromFile();
+  }
+  if (CONFIG.IS_KLINE_STORE_ENABLED) {
+    return await syncKlineStore(interval);
+  }
+  return filterKlineDataByTime(
+    await fetchKlineData(CONFIG.KLINE_START_TIME, interval)
+  );
+};
 
-    results[period] = result;
+const getFundingRateHistory = async (startTime, endTime) => {
+  if (CONFIG.FUNDING_RATE_SOURCE === "FILE") {
+    return await loadFundingRateHistoryFromFile();
   }
+  return await fetchFundingRateHistory(startTime, endTime);
+};
+
+/**
+ * 將每次資金費率結算歸入結算時間所在的K線，同一根有多次結算時加總
+ */
+const applyFundingRates = (klineData, fundingRateHistory) => {
+  let index = 0;
+  for (const { fundingTime, fundingRate } of fundingRateHistory) {
+    while (
+      index < klineData.length &&
+      klineData[index].closeTime < fundingTime
+    ) {
+      index++;
+    }
+    if (index === klineData.length) break;
+    if (klineData[index].openTime <= fundingTime) {
+      klineData[index].fundingRate += fundingRate;
+    }
+  }
+};
 
+/**
+ * 載入K線並檢查資料品質；設定 KLINE_SOURCE_INTERVAL 時以較短週期的K線合併為 KLINE_INTERVAL
+ */
+const getKlineData = async () => {
+  const sourceInterval = CONFIG.KLINE_SOURCE_INTERVAL ?? CONFIG.KLINE_INTERVAL;
+  const klineData = await getOriginalKlineData(sourceInterval);
+  let results = klineData.map((kline) => ({
+    openPrice: Number(kline[1]),
+    highPrice: Number(kline[2]),
+    lowPrice: Number(kline[3]),
+    closePrice: Number(kline[4]),
+    volume: Number(kline[5]),
+    openTime: kline[0],
+    closeTime: kline[6],
+    fundingRate: 0
+  }));
+  const now = Date.now();
+  results = checkKlineData(results, sourceInterval, now);
+  if (sourceInterval !== CONFIG.KLINE_INTERVAL && results.length > 0) {
+    // 來源資料未涵蓋完整區間的最後一根合併K線視為未收盤
+    const sourceEndTime = results[results.length - 1].closeTime + 1;
+    results = checkKlineData(
+      resampleKlines(sortUniqueKlines(results), CONFIG.KLINE_INTERVAL),
+      CONFIG.KLINE_INTERVAL,
+      Math.min(now, sourceEndTime)
+    );
+  }
+  if (CONFIG.FUNDING_RATE_SOURCE !== "CONSTANT" && results.length > 0) {
+    const fundingRateHistory = await getFundingRateHistory(
+      results[0].openTime,
+      results[results.length - 1].closeTime
+    );
+    applyFundingRates(results, fundingRateHistory);
+  }
   return results;
 };
 
+let klineCache = [];
+let klineCacheLoading = null;
+let indicatorCache = new Map();
+
+const shouldRefreshKlineCache = (data) => {
+  return data.length === 0;
+};
+
+const shouldRefreshIndicatorCache = () => {
+  return indicatorCache.size === 0;
+};
+
 /**
- * 收集所有需要的RSI週期
+ * 同時呼叫時共用同一次載入，避免重複下載K線與重複輸出資料檢查警告
  */
-const collectRSIPeriods = () => {
-  const periodSet = new Set();
-  const longPeriods = generateParameterRange(CONFIG.RSI_LONG_PERIOD_SETTING);
-  const shortPeriods = generateParameterRange(CONFIG.RSI_SHORT_PERIOD_SETTING);
+const getKlineCache = async () => {
+  if (shouldRefreshKlineCache(klineCache)) {
+    if (!klineCacheLoading) {
+      klineCacheLoading = getKlineData().finally(() => {
+        klineCacheLoading = null;
+      });
+    }
+    klineCache = await klineCacheLoading;
+  }
+  return klineCache;
+};
+
+// ==================== Indicators ====================
 
-  longPeriods.forEach((period) => periodSet.add(period));
-  shortPeriods.forEach((period) => periodSet.add(period));
+/**
+ * 指標快取鍵，例如 ["RSI", 14] => "RSI:14"、["MACD", 12, 26, 9, "signal"] => "MACD:12:26:9:signal"
+ * 高週期指標以週期開頭，例如 ["4h", "SMA", 20] => "4h:SMA:20"
+ */
+const getIndicatorKey = (spec) => spec.join(":");
+
+/**
+ * 一根高週期K線約等於幾根 KLINE_INTERVAL K線（月K以31天計），用於估算暖機K線數
+ */
+const getIntervalBars = (interval) =>
+  Math.ceil(
+    (getIntervalMs(interval) ?? 31 * INTERVAL_UNIT_MS.d) /
+      getIntervalMs(CONFIG.KLINE_INTERVAL)
+  );
+
+/**
+ * 每根K線收盤時已收盤的最後一根高週期K線索引，沒有時為-1
+ * 高週期K線在其 closeTime 之後才可見，策略讀取前一根的值即不會看到未來資料
+ */
+const getHigherTimeframeIndexes = (klineData, higherKlineData) => {
+  const indexes = new Int32Array(klineData.length);
+  let higherIndex = -1;
+  for (let i = 0; i < klineData.length; i++) {
+    while (
+      higherIndex + 1 < higherKlineData.length &&
+      higherKlineData[higherIndex + 1].closeTime <= klineData[i].closeTime
+    ) {
+      higherIndex++;
+    }
+    indexes[i] = higherIndex;
+  }
+  return indexes;
+};
 
-  return Array.from(periodSet);
+/**
+ * 將高週期指標序列展開到基礎K線長度
+ */
+const alignHigherTimeframeSeries = (series, indexes) => {
+  const result = createSharedSeries(indexes.length);
+  for (let i = 0; i < indexes.length; i++) {
+    if (indexes[i] >= 0) result[i] = series[indexes[i]];
+  }
+  return result;
 };
 
-const getRsiCache = async () => {
-  if (shouldRefreshRsiCache()) {
-    const values = await getClosePricesCache();
-    const periods = collectRSIPeriods();
-    const results = computeRSI(values, periods);
+/**
+ * 收集參數空間內所有組合需要的指標參數，依週期與指標名稱分組並去除重複
+ */
+const collectIndicatorSpecs = (settings) => {
+  const strategy = getStrategy();
+  const groups = new Map();
+  for (const setting of settings) {
+    const specs = [
+      ...Object.values(strategy.getIndicators(setting)),
+      ...getEngineIndicatorSpecs()
+    ];
+    for (const spec of specs) {
+      const interval = KLINE_INTERVALS.includes(spec[0]) ? spec[0] : null;
+      const [name, ...args] = interval ? spec.slice(1) : spec;
+      const indicator = INDICATORS[name];
+      if (!indicator) throw new Error(`Unknown indicator: ${name}`);
+      // 多輸出指標的最後一個元素是輸出名稱，同一組參數只計算一次
+      const params = indicator.outputs ? args.slice(0, -1) : args;
+      const groupKey = getIndicatorKey(interval ? [interval, name] : [name]);
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { interval, name, paramsMap: new Map() });
+      }
+      groups.get(groupKey).paramsMap.set(params.join(":"), params);
+    }
+  }
+  return groups;
+};
 
-    for (const period of periods) {
-      rsiCache.set(period, results[period]);
+/**
+ * 計算參數組合用到的所有指標序列，以 getIndicatorKey 為鍵
+ * 高週期指標在重新取樣的K線上計算，再對齊回基礎K線
+ */
+const computeIndicatorData = (klineData, settings) => {
+  const indicatorData = new Map();
+  const higherTimeframes = new Map();
+  for (const { interval, name, paramsMap } of collectIndicatorSpecs(
+    settings
+  ).values()) {
+    const { compute, outputs } = INDICATORS[name];
+    const paramsList = Array.from(paramsMap.values());
+    let sourceKlineData = klineData;
+    let align = (series) => series;
+    if (interval) {
+      if (!higherTimeframes.has(interval)) {
+        const higherKlineData = resampleKlines(klineData, interval);
+        higherTimeframes.set(interval, {
+          klineData: higherKlineData,
+          indexes: getHigherTimeframeIndexes(klineData, higherKlineData)
+        });
+      }
+      const higherTimeframe = higherTimeframes.get(interval);
+      sourceKlineData = higherTimeframe.klineData;
+      align = (series) =>
+        alignHigherTimeframeSeries(series, higherTimeframe.indexes);
     }
+    const keyPrefix = interval ? [interval, name] : [name];
+    const results = compute(sourceKlineData, paramsList);
+    paramsList.forEach((params, index) => {
+      if (!outputs) {
+        indicatorData.set(
+          getIndicatorKey([...keyPrefix, ...params]),
+          align(results[index])
+        );
+        return;
+      }
+      for (const output of outputs) {
+        indicatorData.set(
+          getIndicatorKey([...keyPrefix, ...params, output]),
+          align(results[index][output])
+        );
+      }
+    });
   }
-  return rsiCache;
+  return indicatorData;
 };
 
+const getIndicatorCache = async () => {
+  if (shouldRefreshIndicatorCache()) {
+    const klineData = await getKlineCache();
+    indicatorCache = computeIndicatorData(klineData, getIndicatorSettings());
+  }
+  return indicatorCache;
+};
+
+// ==================== End of Indicators ====================
+
 const getReadableTime = (timestamp) => {
   const date = new Date(timestamp);
   const pad = (n) => String(n).padStart(2, "0");
@@ -306,49 +989,123 @@ const getPrecisionBySize = (size) => {
   if (precisionCache.has(size)) {
     return precisionCache.get(size);
   }
-  let precision;
-  if (size === "1") {
-    precision = 0;
-  } else {
-    precision = size.indexOf("1") - 1;
-  }
+  const [, decimals = ""] = size.split(".");
+  const precision = decimals.replace(/0+$/, "").length;
   precisionCache.set(size, precision);
   return precision;
 };
 
+/**
+ * 數量向下取整到步長的整數倍，不會超過原本算出的保證金或風險預算；
+ * 以整數計算步數，避免浮點誤差讓 0.3 之類的剛好整倍數被取整成少一步
+ */
 const formatBySize = (number, size) => {
   const precision = getPrecisionBySize(size);
-  return Number(number.toFixed(precision));
+  const scale = 10 ** precision;
+  const stepUnits = Math.round(Number(size) * scale);
+  const units = Math.floor(Math.round(number * scale * 1e6) / 1e6);
+  return (Math.floor(units / stepUnits) * stepUnits) / scale;
 };
 
-const getStepSize = async () => {
-  const exchangeInformation = await exchangeInformationAPI();
+/**
+ * 取得交易對的下單限制：LOT_SIZE 的步長與數量上下限、MARKET_LOT_SIZE 的市價單數量上限與 MIN_NOTIONAL 的最小名目價值
+ */
+const getSymbolFilters = async () => {
+  const exchangeInformation = await getExchangeInformation();
   const symbolData = exchangeInformation.symbols.find(
     (item) => item.symbol === CONFIG.SYMBOL
   );
-  const stepSize = symbolData.filters.find(
-    (filter) => filter.filterType === "LOT_SIZE"
-  ).stepSize;
-  return stepSize;
+  if (!symbolData) {
+    throw new Error(
+      `Symbol ${CONFIG.SYMBOL} not found in exchange information`
+    );
+  }
+  const getFilter = (filterType) =>
+    symbolData.filters.find((filter) => filter.filterType === filterType) || {};
+  const lotSize = getFilter("LOT_SIZE");
+  const maxQty = Number(lotSize.maxQty ?? Infinity);
+  return {
+    stepSize: lotSize.stepSize,
+    minQty: Number(lotSize.minQty ?? 0),
+    maxQty,
+    marketMaxQty: Number(getFilter("MARKET_LOT_SIZE").maxQty ?? maxQty),
+    minNotional: Number(getFilter("MIN_NOTIONAL").notional ?? 0)
+  };
 };
 
-const toPercentage = (number) => `${Math.round(number * 100)}%`;
-const calculateHours = (open, close) => (close - open) / CONFIG.HOUR_MS;
+// ==================== Leverage Brackets ====================
 
-// ==================== Report Formatting Helper Functions ====================
+// 未提供槓桿分級檔時使用：維持保證金率為0，爆倉價等同 開倉價 × (1 ∓ 1/槓桿)
+const DEFAULT_LEVERAGE_BRACKETS = [
+  {
+    notionalFloor: 0,
+    notionalCap: Infinity,
+    maintMarginRatio: 0,
+    cum: 0,
+    initialLeverage: 125
+  }
+];
 
 /**
- * 格式化帶符號的百分比
+ * 讀取本地 /fapi/v1/leverageBracket 快照（需API金鑰，因此不從API抓取），依名目價值排序
  */
-const formatSignedPercentage = (value) => {
-  const sign = value > 0 ? "+" : "";
-  return `${sign}${(value * 100).toFixed(2)}%`;
+const loadLeverageBracketsFromFile = async (filePath) => {
+  const content = JSON.parse(await readFile(filePath, "utf-8"));
+  const symbolData = (Array.isArray(content) ? content : [content]).find(
+    (item) => item.symbol === CONFIG.SYMBOL
+  );
+  if (!symbolData || !Array.isArray(symbolData.brackets)) {
+    throw new Error(
+      `Symbol ${CONFIG.SYMBOL} not found in leverage bracket file ${filePath}`
+    );
+  }
+  return symbolData.brackets
+    .map((bracket) => ({
+      notionalFloor: Number(bracket.notionalFloor),
+      notionalCap: Number(bracket.notionalCap),
+      maintMarginRatio: Number(bracket.maintMarginRatio),
+      cum: Number(bracket.cum),
+      initialLeverage: Number(bracket.initialLeverage)
+    }))
+    .sort((a, b) => a.notionalFloor - b.notionalFloor);
 };
 
 /**
- * 格式化運行時間
+ * 槓桿可使用的最大持倉名目價值：分級最高槓桿不低於 leverage 的最高檔上限，沒有任何檔位允許時為0
  */
-const formatRuntime = (totalRunTime) => {
+const getMaxLeverageNotional = (leverageBrackets, leverage) =>
+  leverageBrackets.reduce(
+    (maxNotional, bracket) =>
+      bracket.initialLeverage >= leverage
+        ? Math.max(maxNotional, bracket.notionalCap)
+        : maxNotional,
+    0
+  );
+
+const getLeverageBrackets = async () => {
+  if (!CONFIG.LEVERAGE_BRACKET_FILE_PATH) return DEFAULT_LEVERAGE_BRACKETS;
+  return await loadLeverageBracketsFromFile(CONFIG.LEVERAGE_BRACKET_FILE_PATH);
+};
+
+// ==================== End of Leverage Brackets ====================
+
+const toPercentage = (number) => `${Math.round(number * 100)}%`;
+const calculateHours = (open, close) => (close - open) / CONFIG.HOUR_MS;
+
+// ==================== Report Formatting Helper Functions ====================
+
+/**
+ * 格式化帶符號的百分比
+ */
+const formatSignedPercentage = (value) => {
+  const sign = value > 0 ? "+" : "";
+  return `${sign}${(value * 100).toFixed(2)}%`;
+};
+
+/**
+ * 格式化運行時間
+ */
+const formatRuntime = (totalRunTime) => {
   const minutes = Math.floor(totalRunTime / 60);
   const seconds = (totalRunTime % 60).toFixed(2);
   if (minutes > 0) {
@@ -362,15 +1119,40 @@ const formatRuntime = (totalRunTime) => {
  */
 const formatTradeRecordLine = (trade, index) => {
   const pnlSign = trade.pnl > 0 ? "+" : "";
-  return `${String(index + 1).padStart(5)} | ${getReadableTime(
+  // 投組模式的交易紀錄帶有交易對欄位
+  const symbolColumn = trade.symbol ? `${trade.symbol} | ` : "";
+  return `${String(index + 1).padStart(
+    5
+  )} | ${symbolColumn}${trade.positionType.padEnd(5)} | ${getReadableTime(
     trade.openTimestamp
   )} | ${getReadableTime(trade.closeTimestamp)} | ${trade.openPrice.toFixed(
     2
   )} | ${trade.closePrice.toFixed(2)} | ${pnlSign}${trade.pnl.toFixed(
     2
-  )} | ${pnlSign}${toPercentage(trade.pnlPercent)} | ${trade.holdHours.toFixed(
-    2
-  )} | ${(trade.mae * 100).toFixed(2)}% | ${(trade.mfe * 100).toFixed(2)}%\n`;
+  )} | ${pnlSign}${toPercentage(trade.pnlPercent)} | ${trade.fundingFee.toFixed(
+    4
+  )} | ${trade.holdHours.toFixed(2)} | ${(trade.mae * 100).toFixed(2)}% | ${(trade.mfe * 100).toFixed(2)}% | ${
+    trade.exitReason
+  }${trade.isPartial ? " (partial)" : ""}\n${formatTradeFillLines(trade)}`;
+};
+
+/**
+ * 加碼過的持倉逐筆列出本次平倉涵蓋的進場成交
+ */
+const formatTradeFillLines = (trade) => {
+  if (!trade.fills || trade.fills.length <= 1) return "";
+  return trade.fills
+    .map(
+      (fill, index) =>
+        `      Fill ${index + 1} | ${getReadableTime(
+          fill.openTimestamp
+        )} | ${fill.openPrice.toFixed(2)} | Qty ${Number(
+          fill.quantity.toFixed(8)
+        )} | Fee ${fill.fee.toFixed(4)} | Funding ${fill.fundingFee.toFixed(
+          4
+        )} | ${(fill.mae * 100).toFixed(2)}% | ${(fill.mfe * 100).toFixed(2)}%\n`
+    )
+    .join("");
 };
 
 /**
@@ -380,10 +1162,13 @@ const formatTradeInfo = (trade, title) => {
   if (!trade) return "";
   const pnlSign = trade.pnl > 0 ? "+" : "";
   let info = `\n${title}\n`;
+  info += `  Side:             ${trade.positionType}\n`;
   info += `  Return: ${pnlSign}${toPercentage(trade.pnlPercent)}\n`;
   info += `  PnL:              ${pnlSign}${trade.pnl.toFixed(2)}\n`;
   info += `  Entry Price:      ${trade.openPrice.toFixed(2)}\n`;
   info += `  Exit Price:       ${trade.closePrice.toFixed(2)}\n`;
+  info += `  Exit Reason:      ${trade.exitReason}\n`;
+  info += `  Funding Fee:      ${trade.fundingFee.toFixed(4)}\n`;
   info += `  Time:             ${getReadableTime(
     trade.openTimestamp
   )} ~ ${getReadableTime(trade.closeTimestamp)}\n`;
@@ -397,6 +1182,187 @@ const formatTradeInfo = (trade, title) => {
   return info;
 };
 
+/**
+ * 格式化參數組合（單行）
+ */
+const formatStrategyParamsInline = (params) => {
+  let text = `${getStrategy().formatParams(params)} ${params.leverage}x`;
+  if (CONFIG.STOP_LOSS_TYPE !== "NONE") {
+    text += ` ${CONFIG.IS_TRAILING_STOP ? "TSL" : "SL"} ${formatExitSetting(
+      params.stopLoss,
+      CONFIG.STOP_LOSS_TYPE
+    )}`;
+  }
+  if (CONFIG.TAKE_PROFIT_TYPE !== "NONE") {
+    text += ` TP ${formatExitSetting(params.takeProfit, CONFIG.TAKE_PROFIT_TYPE)}`;
+  }
+  return text;
+};
+
+/**
+ * 格式化滑價模型設定
+ */
+const formatSlippageModel = () => {
+  const baseText = `${CONFIG.SLIPPAGE_MODEL} ${CONFIG.SLIPPAGE_BPS} bps`;
+  if (CONFIG.SLIPPAGE_MODEL === "VOLATILITY") {
+    return `${baseText} + ${CONFIG.SLIPPAGE_FACTOR} × ATR(${CONFIG.SLIPPAGE_ATR_PERIOD})`;
+  }
+  if (CONFIG.SLIPPAGE_MODEL === "VOLUME") {
+    return `${baseText} + ${CONFIG.SLIPPAGE_FACTOR} × √participation`;
+  }
+  return baseText;
+};
+
+/**
+ * 格式化分批停利設定，例如 50% at 1×, rest on exit
+ */
+const formatTakeProfitTranches = () => {
+  const tranches = CONFIG.TAKE_PROFIT_TRANCHES;
+  const text = tranches
+    .map((percent, index) => `${percent}% at ${index + 1}×`)
+    .join(", ");
+  const totalPercent = tranches.reduce((sum, percent) => sum + percent, 0);
+  return totalPercent < 100 ? `${text}, rest on exit` : text;
+};
+
+/**
+ * 格式化部位規模模型設定
+ */
+const formatPositionSizing = () => {
+  const descriptions = {
+    FIXED_RISK: `${CONFIG.RISK_PER_TRADE_PERCENT}% risk to stop loss`,
+    VOLATILITY_TARGET: `${CONFIG.VOLATILITY_TARGET_PERCENT}% per ATR(${CONFIG.SIZING_ATR_PERIOD})`,
+    KELLY: `${CONFIG.KELLY_FRACTION} × Kelly after ${CONFIG.KELLY_MIN_TRADES} trades`,
+    FIXED_NOTIONAL: `${CONFIG.FIXED_NOTIONAL} USDT notional`
+  };
+  return `${CONFIG.POSITION_SIZING} ${
+    descriptions[CONFIG.POSITION_SIZING]
+  }, max ${CONFIG.ORDER_AMOUNT_PERCENT}% margin`;
+};
+
+/**
+ * 格式化排行榜行
+ */
+const formatScore = (score) =>
+  Number.isFinite(score) ? score.toFixed(4) : String(score ?? "-");
+
+const formatLeaderboardLine = (result, index) =>
+  `${String(index + 1).padStart(4)} | ${formatStrategyParamsInline(
+    result
+  )} | ${formatScore(result.score)} | ${formatSignedPercentage(result.totalReturn)} | ${(
+    result.maxDrawdown * 100
+  ).toFixed(2)}% | ${(result.winRate * 100).toFixed(2)}% | ${
+    result.totalTrades
+  }\n`;
+
+/**
+ * 格式化智慧搜尋的收斂紀錄與網格搜尋比較
+ */
+const formatSearchSummary = (search) => {
+  let text = "\n" + "=".repeat(60) + "\n";
+  text += "Search Convergence\n";
+  text += "=".repeat(60) + "\n";
+  text += `  Method:           ${search.method} (seed ${search.seed})\n`;
+  text += `  Evaluations:      ${search.evaluations} / ${search.budget}\n\n`;
+  text += "Step | Evaluations | Best Score\n";
+  text += "-".repeat(60) + "\n";
+  for (const { step, evaluations, bestScore } of search.convergence) {
+    text += `${step} | ${evaluations} | ${formatScore(bestScore)}\n`;
+  }
+
+  const comparison = search.gridComparison;
+  if (comparison) {
+    text += "\nGrid Comparison\n";
+    text += `  Grid Best Score:  ${formatScore(comparison.gridBestScore)} (${
+      comparison.gridEvaluations
+    } evaluations, ${formatRuntime(comparison.gridRunTime)})\n`;
+    text += `  Search Best Score: ${formatScore(comparison.searchBestScore)} (${
+      comparison.searchEvaluations
+    } evaluations, ${formatRuntime(comparison.searchRunTime)})\n`;
+    text += `  Found Grid Best:  ${
+      comparison.searchBestScore >= comparison.gridBestScore ? "yes" : "no"
+    }\n`;
+    if (comparison.gridBestParameters) {
+      text += `  Grid Parameters:  ${formatStrategyParamsInline(
+        comparison.gridBestParameters
+      )}\n`;
+    }
+  }
+  return text;
+};
+
+const MONTE_CARLO_METHOD_LABELS = {
+  SHUFFLE: "Trade Shuffle",
+  BOOTSTRAP: "Bootstrap (with replacement)"
+};
+
+/**
+ * Monte Carlo 表格標題列
+ */
+const getMonteCarloHeader = () => [
+  "Metric",
+  "Actual",
+  ...MONTE_CARLO_PERCENTILES.map((percentile) => `P${percentile}`)
+];
+
+/**
+ * Monte Carlo 各指標的表格列（實際交易順序的值與各百分位數）
+ */
+const getMonteCarloRows = (monteCarlo, method) => {
+  const { percentiles } = monteCarlo.methods[method];
+  return [
+    ["Final Fund", "finalFund", (value) => value.toFixed(2)],
+    ["Max Drawdown", "maxDrawdown", (value) => `${(value * 100).toFixed(2)}%`],
+    ["Time to Recover", "recoveryDays", (value) => `${value.toFixed(1)}d`]
+  ].map(([label, key, formatValue]) => [
+    label,
+    formatValue(monteCarlo.actual[key]),
+    ...Object.values(percentiles[key]).map(formatValue)
+  ]);
+};
+
+/**
+ * 格式化破產的判定條件
+ */
+const formatMonteCarloRuin = (monteCarlo) =>
+  monteCarlo.ruinDrawdown === null
+    ? "fund depleted"
+    : `max drawdown above ${(monteCarlo.ruinDrawdown * 100).toFixed(2)}%`;
+
+/**
+ * 格式化 Monte Carlo 分析的百分位數與破產機率
+ */
+const formatMonteCarloSummary = (monteCarlo) => {
+  let text = "\n" + "=".repeat(60) + "\n";
+  text += "Monte Carlo Analysis\n";
+  text += "=".repeat(60) + "\n";
+  text += `  Runs:             ${monteCarlo.runs} per method (seed ${monteCarlo.seed})\n`;
+  text += `  Trades:           ${monteCarlo.trades}\n`;
+  text += `  Ruin:             ${formatMonteCarloRuin(monteCarlo)}\n`;
+  for (const [method, { riskOfRuin }] of Object.entries(monteCarlo.methods)) {
+    text += `\n${MONTE_CARLO_METHOD_LABELS[method]}\n`;
+    text += `  Risk of Ruin:     ${(riskOfRuin * 100).toFixed(2)}%\n`;
+    text += `  ${getMonteCarloHeader().join(" | ")}\n`;
+    for (const row of getMonteCarloRows(monteCarlo, method)) {
+      text += `  ${row.join(" | ")}\n`;
+    }
+  }
+  return text;
+};
+
+/**
+ * 格式化單邊（多/空）交易統計
+ */
+const formatSideStatistics = (sideStats, title) => {
+  if (!sideStats || sideStats.totalTrades === 0) {
+    return `  ${title.padEnd(6)}          No trades\n`;
+  }
+  const pnlSign = sideStats.totalPnl > 0 ? "+" : "";
+  return `  ${title.padEnd(6)}          ${sideStats.totalTrades} trades | Win Rate ${(
+    sideStats.winRate * 100
+  ).toFixed(2)}% | PnL ${pnlSign}${sideStats.totalPnl.toFixed(2)}\n`;
+};
+
 // ==================== End of Report Formatting Helper Functions ====================
 
 const formatBacktestReport = ({
@@ -421,24 +1387,35 @@ const formatBacktestReport = ({
   sharpeRatio,
   sortinoRatio,
   exposure,
+  sideStatistics,
+  exitReasonCounts,
+  leaderboard,
+  search,
+  monteCarlo,
   totalRunTime
 }) => {
   const {
     currentPositionType,
     fund,
-    rsiLongPeriod,
-    rsiShortPeriod,
-    rsiLongLevel,
-    rsiShortLevel,
     leverage,
+    stopLoss,
+    takeProfit,
+    tradeDirection,
     totalTrades,
     winningTrades,
     losingTrades,
+    liquidatedTrades,
+    unfilledEntries,
+    rejectedEntries,
+    scaleInEntries,
     winRate,
     totalPnl,
+    totalFundingFee,
+    totalSlippageCost,
     totalReturn,
     maxDrawdown,
-    averageHoldTimeHours
+    averageHoldTimeHours,
+    score
   } = bestResult;
 
   let report = "\n" + "=".repeat(60) + "\n";
@@ -464,11 +1441,46 @@ const formatBacktestReport = ({
   }
 
   report += "\nStrategy Parameters\n";
-  report += `  RSI Long Period:  ${rsiLongPeriod}\n`;
-  report += `  RSI Short Period: ${rsiShortPeriod}\n`;
-  report += `  RSI Long Level:   ${rsiLongLevel}\n`;
-  report += `  RSI Short Level:  ${rsiShortLevel}\n`;
-  report += `  Leverage:         ${leverage}x\n`;
+  report += `  Strategy:         ${CONFIG.STRATEGY}\n`;
+  for (const { key, label } of getStrategy().parameters) {
+    report += `  ${`${label}:`.padEnd(18)}${bestResult[key]}\n`;
+  }
+  report += `  Leverage:         ${leverage}x (${CONFIG.MARGIN_TYPE.toLowerCase()})\n`;
+  if (CONFIG.STOP_LOSS_TYPE !== "NONE") {
+    report += `  Stop Loss:        ${formatExitSetting(
+      stopLoss,
+      CONFIG.STOP_LOSS_TYPE
+    )}${CONFIG.IS_TRAILING_STOP ? " (trailing)" : ""}\n`;
+  }
+  if (CONFIG.TAKE_PROFIT_TYPE !== "NONE") {
+    report += `  Take Profit:      ${formatExitSetting(
+      takeProfit,
+      CONFIG.TAKE_PROFIT_TYPE
+    )}\n`;
+    if (isTakeProfitScaledOut()) {
+      report += `  TP Tranches:      ${formatTakeProfitTranches()}\n`;
+    }
+  }
+  if (CONFIG.PYRAMIDING_LAYERS > 1) {
+    const distance =
+      CONFIG.PYRAMIDING_MIN_DISTANCE_PERCENT > 0
+        ? `, ${CONFIG.PYRAMIDING_MIN_DISTANCE_PERCENT}% apart`
+        : "";
+    report += `  Pyramiding:       up to ${CONFIG.PYRAMIDING_LAYERS} layers, ${CONFIG.PYRAMIDING_MIN_BARS}+ bars${distance}\n`;
+  }
+  if (CONFIG.ENTRY_ORDER_TYPE === "LIMIT") {
+    report += `  Entry Orders:     LIMIT (${CONFIG.LIMIT_ENTRY_OFFSET_PERCENT}% from previous close)\n`;
+  }
+  if (CONFIG.SLIPPAGE_MODEL !== "NONE") {
+    report += `  Slippage:         ${formatSlippageModel()}\n`;
+  }
+  if (CONFIG.POSITION_SIZING !== "PERCENT") {
+    report += `  Position Sizing:  ${formatPositionSizing()}\n`;
+  }
+  report += `  Trade Direction:  ${tradeDirection}\n`;
+  report += `  Objective:        ${
+    CONFIG.OPTIMIZATION_OBJECTIVE
+  } (score ${formatScore(score)})\n`;
 
   report += "\nRisk Metrics\n";
   report += `  Max Drawdown:     ${(maxDrawdown * 100).toFixed(2)}%\n`;
@@ -487,11 +1499,31 @@ const formatBacktestReport = ({
   report += "\nTrading Statistics\n";
   report += `  Total Trades:     ${totalTrades}\n`;
   report += `  Win Rate:         ${(winRate * 100).toFixed(2)}%\n`;
+  if (liquidatedTrades > 0) {
+    report += `  Liquidations:     ${liquidatedTrades}\n`;
+  }
+  if (unfilledEntries > 0) {
+    report += `  Unfilled Entries: ${unfilledEntries}\n`;
+  }
+  if (rejectedEntries > 0) {
+    report += `  Rejected Entries: ${rejectedEntries} (below LOT_SIZE or MIN_NOTIONAL)\n`;
+  }
+  if (scaleInEntries > 0) {
+    report += `  Scale-ins:        ${scaleInEntries}\n`;
+  }
   if (profitFactor !== Infinity && profitFactor > 0) {
     report += `  Profit Factor:    ${profitFactor.toFixed(2)}\n`;
   } else if (profitFactor === Infinity) {
     report += `  Profit Factor:    ∞ (No losses)\n`;
   }
+  report += `  Funding Fees:     ${totalFundingFee.toFixed(2)} (${
+    CONFIG.FUNDING_RATE_SOURCE === "CONSTANT"
+      ? `constant ${CONFIG.FUNDING_RATE}`
+      : "historical"
+  })\n`;
+  if (CONFIG.SLIPPAGE_MODEL !== "NONE") {
+    report += `  Slippage Cost:    ${totalSlippageCost.toFixed(2)}\n`;
+  }
   report += `  Avg Hold Time:    ${averageHoldTimeHours.toFixed(2)} hours\n`;
   report += `  Exposure:         ${exposure.toFixed(2)}%\n`;
   if (tradeRecords.length > 0) {
@@ -501,6 +1533,15 @@ const formatBacktestReport = ({
     report += `  Avg MFE:          ${(avgMFE * 100).toFixed(2)}% (${(
       avgMFELeveraged * 100
     ).toFixed(2)}% lev)\n`;
+
+    report += "\nLong / Short Breakdown\n";
+    report += formatSideStatistics(sideStatistics.LONG, "Long");
+    report += formatSideStatistics(sideStatistics.SHORT, "Short");
+
+    report += "\nExit Reasons\n";
+    for (const [exitReason, count] of Object.entries(exitReasonCounts)) {
+      report += `  ${`${exitReason}:`.padEnd(18)}${count}\n`;
+    }
   }
 
   report += "\nBacktest Period\n";
@@ -517,13 +1558,31 @@ const formatBacktestReport = ({
   report += `  Total Runtime:    ${formatRuntime(totalRunTime)}\n`;
   report += "=".repeat(60) + "\n";
 
+  if (search) report += formatSearchSummary(search);
+  if (monteCarlo) report += formatMonteCarloSummary(monteCarlo);
+
+  if (leaderboard.length > 0) {
+    report += "\n" + "=".repeat(60) + "\n";
+    report += `Top ${leaderboard.length} Leaderboard\n`;
+    report += "=".repeat(60) + "\n\n";
+    report +=
+      "Rank | Parameters | Score | Return | Max DD | Win Rate | Trades\n";
+    report += "-".repeat(120) + "\n";
+    leaderboard.forEach((result, index) => {
+      report += formatLeaderboardLine(result, index);
+    });
+    if (CONFIG.RESULTS_EXPORT_PATH) {
+      report += `\nAll tested combinations exported to: ${CONFIG.RESULTS_EXPORT_PATH}\n`;
+    }
+  }
+
   // Add detailed trade records
   if (tradeRecords.length > 0) {
     report += "\n" + "=".repeat(60) + "\n";
     report += "Detailed Trade Records\n";
     report += "=".repeat(60) + "\n\n";
     report +=
-      "Index | Entry Time | Exit Time | Entry Price | Exit Price | PnL | PnL % | Hold Hours | MAE | MFE\n";
+      "Index | Side  | Entry Time | Exit Time | Entry Price | Exit Price | PnL | PnL % | Funding | Hold Hours | MAE | MFE | Exit\n";
     report += "-".repeat(120) + "\n";
     tradeRecords.forEach((trade, index) => {
       report += formatTradeRecordLine(trade, index);
@@ -533,20 +1592,364 @@ const formatBacktestReport = ({
   return report;
 };
 
+// ==================== Strategies ====================
+
+/**
+ * 依進出場條件與目前倉位產生訊號，並遵守交易方向設定
+ * 持倉中同向進場條件成立且未觸發出場時回傳進場訊號，由引擎決定是否加碼
+ */
+const getDirectionalSignal = (
+  context,
+  longEntry,
+  longExit,
+  shortEntry,
+  shortExit
+) => {
+  if (context.positionType === "NONE") {
+    if (context.canOpenLong && longEntry) return "OPEN_LONG";
+    if (context.canOpenShort && shortEntry) return "OPEN_SHORT";
+    return "NONE";
+  }
+  if (context.positionType === "LONG") {
+    if (longExit) return "CLOSE_LONG";
+    if (longEntry) return "OPEN_LONG";
+  }
+  if (context.positionType === "SHORT") {
+    if (shortExit) return "CLOSE_SHORT";
+    if (shortEntry) return "OPEN_SHORT";
+  }
+  return "NONE";
+};
+
+const RSI_PARAMETERS = [
+  {
+    key: "rsiLongPeriod",
+    label: "RSI Long Period",
+    configKey: "RSI_LONG_PERIOD_SETTING"
+  },
+  {
+    key: "rsiShortPeriod",
+    label: "RSI Short Period",
+    configKey: "RSI_SHORT_PERIOD_SETTING"
+  },
+  {
+    key: "rsiLongLevel",
+    label: "RSI Long Level",
+    configKey: "RSI_LONG_LEVEL_SETTING",
+    isThreshold: true
+  },
+  {
+    key: "rsiShortLevel",
+    label: "RSI Short Level",
+    configKey: "RSI_SHORT_LEVEL_SETTING",
+    isThreshold: true
+  }
+];
+
+/**
+ * 策略定義：
+ * - parameters：參數空間，每個參數對應CONFIG中的範圍設定，槓桿由引擎另外處理；
+ *   isThreshold 標記只當訊號門檻、不影響指標的參數，收集指標時不必列舉
+ * - isValidParams：（選填）排除不合理的參數組合
+ * - getIndicators：參數組合需要的指標，[名稱, ...參數(, 輸出)] 會先批次計算並快取
+ * - getWarmupBars：指標暖機所需K線數，回測從此索引開始
+ * - onBar：以前一根K線的指標決定當根開盤的訊號，context為回測引擎
+ */
+const STRATEGIES = {
+  RSI: {
+    description:
+      "RSI above long level opens long, below short level opens short",
+    parameters: RSI_PARAMETERS,
+    getIndicators: (params) => ({
+      rsiLong: ["RSI", params.rsiLongPeriod],
+      rsiShort: ["RSI", params.rsiShortPeriod]
+    }),
+    getWarmupBars: (params) =>
+      Math.max(params.rsiLongPeriod, params.rsiShortPeriod) + 1,
+    onBar: (context, index) => {
+      const { indicators, params } = context;
+      const preRsiLong = indicators.rsiLong[index - 1];
+      const preRsiShort = indicators.rsiShort[index - 1];
+      return getDirectionalSignal(
+        context,
+        preRsiLong > params.rsiLongLevel,
+        preRsiShort < params.rsiShortLevel,
+        preRsiShort < params.rsiShortLevel,
+        preRsiLong > params.rsiLongLevel
+      );
+    },
+    formatParams: (params) =>
+      `RSI ${params.rsiLongPeriod}/${params.rsiShortPeriod} Lv ${params.rsiLongLevel}/${params.rsiShortLevel}`
+  },
+  MA_CROSSOVER: {
+    description: "Fast SMA above slow SMA holds long, below holds short",
+    parameters: [
+      {
+        key: "maFastPeriod",
+        label: "MA Fast Period",
+        configKey: "MA_FAST_PERIOD_SETTING"
+      },
+      {
+        key: "maSlowPeriod",
+        label: "MA Slow Period",
+        configKey: "MA_SLOW_PERIOD_SETTING"
+      }
+    ],
+    isValidParams: (params) => params.maFastPeriod < params.maSlowPeriod,
+    getIndicators: (params) => ({
+      fastMa: ["SMA", params.maFastPeriod],
+      slowMa: ["SMA", params.maSlowPeriod]
+    }),
+    getWarmupBars: (params) => params.maSlowPeriod,
+    onBar: (context, index) => {
+      const preFastMa = context.indicators.fastMa[index - 1];
+      const preSlowMa = context.indicators.slowMa[index - 1];
+      const isUptrend = preFastMa > preSlowMa;
+      const isDowntrend = preFastMa < preSlowMa;
+      return getDirectionalSignal(
+        context,
+        isUptrend,
+        isDowntrend,
+        isDowntrend,
+        isUptrend
+      );
+    },
+    formatParams: (params) => `MA ${params.maFastPeriod}/${params.maSlowPeriod}`
+  },
+  BREAKOUT: {
+    description:
+      "Close beyond the entry channel opens, close beyond the exit channel closes",
+    parameters: [
+      {
+        key: "breakoutEntryPeriod",
+        label: "Entry Channel",
+        configKey: "BREAKOUT_ENTRY_PERIOD_SETTING"
+      },
+      {
+        key: "breakoutExitPeriod",
+        label: "Exit Channel",
+        configKey: "BREAKOUT_EXIT_PERIOD_SETTING"
+      }
+    ],
+    getIndicators: (params) => ({
+      entryHigh: ["HIGHEST", params.breakoutEntryPeriod],
+      entryLow: ["LOWEST", params.breakoutEntryPeriod],
+      exitHigh: ["HIGHEST", params.breakoutExitPeriod],
+      exitLow: ["LOWEST", params.breakoutExitPeriod]
+    }),
+    // 通道取突破K線之前的區間，因此多等一根
+    getWarmupBars: (params) =>
+      Math.max(params.breakoutEntryPeriod, params.breakoutExitPeriod) + 1,
+    onBar: (context, index) => {
+      const { indicators } = context;
+      const preClosePrice = context.klineColumns.closePrice[index - 1];
+      return getDirectionalSignal(
+        context,
+        preClosePrice > indicators.entryHigh[index - 2],
+        preClosePrice < indicators.exitLow[index - 2],
+        preClosePrice < indicators.entryLow[index - 2],
+        preClosePrice > indicators.exitHigh[index - 2]
+      );
+    },
+    formatParams: (params) =>
+      `Breakout ${params.breakoutEntryPeriod}/${params.breakoutExitPeriod}`
+  },
+  RSI_MA_TREND: {
+    description: "RSI rule, entering only in the direction of the trend SMA",
+    parameters: [
+      ...RSI_PARAMETERS,
+      {
+        key: "maTrendPeriod",
+        label: "MA Trend Period",
+        configKey: "MA_TREND_PERIOD_SETTING"
+      }
+    ],
+    getIndicators: (params) => ({
+      rsiLong: ["RSI", params.rsiLongPeriod],
+      rsiShort: ["RSI", params.rsiShortPeriod],
+      trendMa: ["SMA", params.maTrendPeriod]
+    }),
+    getWarmupBars: (params) =>
+      Math.max(
+        params.rsiLongPeriod + 1,
+        params.rsiShortPeriod + 1,
+        params.maTrendPeriod
+      ),
+    onBar: (context, index) => {
+      const { indicators, params } = context;
+      const preRsiLong = indicators.rsiLong[index - 1];
+      const preRsiShort = indicators.rsiShort[index - 1];
+      const preClosePrice = context.klineColumns.closePrice[index - 1];
+      const preTrendMa = indicators.trendMa[index - 1];
+      return getDirectionalSignal(
+        context,
+        preRsiLong > params.rsiLongLevel && preClosePrice > preTrendMa,
+        preRsiShort < params.rsiShortLevel,
+        preRsiShort < params.rsiShortLevel && preClosePrice < preTrendMa,
+        preRsiLong > params.rsiLongLevel
+      );
+    },
+    formatParams: (params) =>
+      `RSI ${params.rsiLongPeriod}/${params.rsiShortPeriod} Lv ${params.rsiLongLevel}/${params.rsiShortLevel} MA ${params.maTrendPeriod}`
+  },
+  RSI_HTF_TREND: {
+    description:
+      "RSI rule, entering only in the direction of the HTF_INTERVAL trend SMA",
+    parameters: [
+      ...RSI_PARAMETERS,
+      {
+        key: "htfMaPeriod",
+        label: "HTF MA Period",
+        configKey: "HTF_MA_PERIOD_SETTING"
+      }
+    ],
+    getIndicators: (params) => ({
+      rsiLong: ["RSI", params.rsiLongPeriod],
+      rsiShort: ["RSI", params.rsiShortPeriod],
+      htfTrendMa: [CONFIG.HTF_INTERVAL, "SMA", params.htfMaPeriod]
+    }),
+    // 略過的不完整第一根高週期K線也要算入暖機
+    getWarmupBars: (params) =>
+      Math.max(
+        params.rsiLongPeriod + 1,
+        params.rsiShortPeriod + 1,
+        (params.htfMaPeriod + 1) * getIntervalBars(CONFIG.HTF_INTERVAL)
+      ),
+    onBar: (context, index) => {
+      const { indicators, params } = context;
+      const preRsiLong = indicators.rsiLong[index - 1];
+      const preRsiShort = indicators.rsiShort[index - 1];
+      const preClosePrice = context.klineColumns.closePrice[index - 1];
+      const preHtfTrendMa = indicators.htfTrendMa[index - 1];
+      return getDirectionalSignal(
+        context,
+        preRsiLong > params.rsiLongLevel && preClosePrice > preHtfTrendMa,
+        preRsiShort < params.rsiShortLevel,
+        preRsiShort < params.rsiShortLevel && preClosePrice < preHtfTrendMa,
+        preRsiLong > params.rsiLongLevel
+      );
+    },
+    formatParams: (params) =>
+      `RSI ${params.rsiLongPeriod}/${params.rsiShortPeriod} Lv ${params.rsiLongLevel}/${params.rsiShortLevel} ${CONFIG.HTF_INTERVAL} MA ${params.htfMaPeriod}`
+  }
+};
+
+const getStrategy = () => STRATEGIES[CONFIG.STRATEGY];
+
+/**
+ * 與策略無關、由引擎處理的可優化參數，停損/停利只在啟用時加入
+ */
+const getEngineParameters = () => {
+  const parameters = [
+    { key: "leverage", label: "Leverage", configKey: "LEVERAGE_SETTING" }
+  ];
+  if (CONFIG.STOP_LOSS_TYPE !== "NONE") {
+    parameters.push({
+      key: "stopLoss",
+      label: "Stop Loss",
+      configKey: "STOP_LOSS_SETTING"
+    });
+  }
+  if (CONFIG.TAKE_PROFIT_TYPE !== "NONE") {
+    parameters.push({
+      key: "takeProfit",
+      label: "Take Profit",
+      configKey: "TAKE_PROFIT_SETTING"
+    });
+  }
+  return parameters;
+};
+
+/**
+ * 停利是否分批出場（預設單批平掉全部）
+ */
+const isTakeProfitScaledOut = () =>
+  CONFIG.TAKE_PROFIT_TRANCHES.length > 1 ||
+  CONFIG.TAKE_PROFIT_TRANCHES[0] < 100;
+
+const isExitAtrRequired = () =>
+  CONFIG.STOP_LOSS_TYPE === "ATR" || CONFIG.TAKE_PROFIT_TYPE === "ATR";
+
+const getExitAtrSpec = () => ["ATR", CONFIG.EXIT_ATR_PERIOD];
+
+const getSlippageAtrSpec = () => ["ATR", CONFIG.SLIPPAGE_ATR_PERIOD];
+
+const getSizingAtrSpec = () => ["ATR", CONFIG.SIZING_ATR_PERIOD];
+
+/**
+ * 回測引擎本身（ATR出場、波動滑價、波動目標部位）需要的指標，與策略參數無關
+ */
+const getEngineIndicatorSpecs = () => {
+  const specs = [];
+  if (isExitAtrRequired()) specs.push(getExitAtrSpec());
+  if (CONFIG.SLIPPAGE_MODEL === "VOLATILITY") specs.push(getSlippageAtrSpec());
+  if (CONFIG.POSITION_SIZING === "VOLATILITY_TARGET") {
+    specs.push(getSizingAtrSpec());
+  }
+  return specs;
+};
+
+/**
+ * 參數組合所需的暖機K線數（策略指標與引擎ATR取最大），回測從此索引開始
+ */
+const getEngineWarmupBars = (params) =>
+  Math.max(
+    getStrategy().getWarmupBars(params),
+    isExitAtrRequired() ? CONFIG.EXIT_ATR_PERIOD + 1 : 0,
+    CONFIG.SLIPPAGE_MODEL === "VOLATILITY" ? CONFIG.SLIPPAGE_ATR_PERIOD + 1 : 0,
+    CONFIG.POSITION_SIZING === "VOLATILITY_TARGET"
+      ? CONFIG.SIZING_ATR_PERIOD + 1
+      : 0
+  );
+
+/**
+ * 從回測結果取出策略參數與引擎參數
+ */
+const getStrategyParams = (result) => {
+  const params = {};
+  for (const { key } of [
+    ...getStrategy().parameters,
+    ...getEngineParameters()
+  ]) {
+    params[key] = result[key];
+  }
+  return params;
+};
+
+/**
+ * 格式化停損/停利設定，例如 2% 或 1.5 ATR
+ */
+const formatExitSetting = (value, type) =>
+  type === "ATR" ? `${value} ATR` : `${value}%`;
+
+// ==================== End of Strategies ====================
+
+// 滑價比例上限，避免賣出成交價變成零或負數
+const MAX_SLIPPAGE_RATE = 0.5;
+
 class BacktestEngine {
-  constructor(cachedKlineData, cachedRsiData, stepSize, strategyParams) {
-    this.cachedKlineData = cachedKlineData;
-    this.stepSize = stepSize;
-    this.rsiLongPeriod = strategyParams.rsiLongPeriod;
-    this.rsiShortPeriod = strategyParams.rsiShortPeriod;
-    this.rsiLongLevel = strategyParams.rsiLongLevel;
-    this.rsiShortLevel = strategyParams.rsiShortLevel;
-    this.leverage = strategyParams.leverage;
-    this.shouldLogResults = strategyParams.shouldLogResults || false;
-    this.maxDrawdownThreshold = strategyParams.maxDrawdownThreshold || null;
+  constructor(klineColumns, cachedIndicatorData, symbolFilters, options) {
+    this.klineColumns = klineColumns;
+    this.symbolFilters = symbolFilters;
+    this.strategy = getStrategy();
+    this.params = options.params;
+    this.leverage = options.leverage;
+    this.stopLoss = options.stopLoss ?? null;
+    this.leverageBrackets =
+      options.leverageBrackets || DEFAULT_LEVERAGE_BRACKETS;
+    this.maxLeverageNotional = getMaxLeverageNotional(
+      this.leverageBrackets,
+      this.leverage
+    );
+    this.takeProfit = options.takeProfit ?? null;
+    this.shouldLogResults = options.shouldLogResults || false;
+    this.shouldRecordEquityCurve =
+      options.shouldRecordEquityCurve ?? this.shouldLogResults;
+    this.maxDrawdownThreshold = options.maxDrawdownThreshold || null;
 
     this.fund = CONFIG.INITIAL_FUNDING;
     this.positionType = "NONE";
+    this.positionSide = 0;
     this.positionAmt = null;
     this.positionFund = null;
     this.openTimestamp = null;
@@ -554,133 +1957,705 @@ class BacktestEngine {
     this.liquidationPrice = null;
     this.positionMaxPrice = null;
     this.positionMinPrice = null;
+    this.stopLossDistance = null;
+    this.takeProfitDistance = null;
+    this.trailingExtremePrice = null;
+    this.positionFundingFee = 0;
+    this.fills = [];
+    this.takeProfitTrancheIndex = 0;
+    this.takeProfitClosedAmt = 0;
+    this.lastEntryIndex = null;
+    this.isEntrySignalActive = false;
 
     this.totalTrades = 0;
     this.winningTrades = 0;
     this.losingTrades = 0;
+    this.liquidatedTrades = 0;
+    this.unfilledEntries = 0;
+    this.rejectedEntries = 0;
+    this.scaleInEntries = 0;
+    this.totalWinReturn = 0;
+    this.totalLossReturn = 0;
     this.totalPnl = 0;
+    this.totalFundingFee = 0;
+    this.totalSlippageCost = 0;
     this.maxDrawdown = 0;
     this.peakFund = CONFIG.INITIAL_FUNDING;
     this.totalHoldTimeHours = 0;
     this.tradeRecords = [];
+    this.equityCurve = [];
+    this.isRejected = false;
+
+    this.indicators = {};
+    for (const [name, spec] of Object.entries(
+      this.strategy.getIndicators(this.params)
+    )) {
+      this.indicators[name] = cachedIndicatorData.get(getIndicatorKey(spec));
+    }
+    // klineRange 限制只在部分K線區間內交易，指標仍使用區間之前的資料暖機
+    const klineRange = options.klineRange || {
+      start: 0,
+      end: klineColumns.openTime.length
+    };
+    this.exitAtrData = isExitAtrRequired()
+      ? cachedIndicatorData.get(getIndicatorKey(getExitAtrSpec()))
+      : null;
+    this.slippageAtrData =
+      CONFIG.SLIPPAGE_MODEL === "VOLATILITY"
+        ? cachedIndicatorData.get(getIndicatorKey(getSlippageAtrSpec()))
+        : null;
+    this.sizingAtrData =
+      CONFIG.POSITION_SIZING === "VOLATILITY_TARGET"
+        ? cachedIndicatorData.get(getIndicatorKey(getSizingAtrSpec()))
+        : null;
+    this.startIndex = Math.max(
+      getEngineWarmupBars(this.params),
+      klineRange.start
+    );
+    this.dataLength = klineRange.end;
 
-    this.rsiLongData = cachedRsiData.get(this.rsiLongPeriod);
-    this.rsiShortData = cachedRsiData.get(this.rsiShortPeriod);
-    this.startIndex = Math.max(this.rsiLongPeriod, this.rsiShortPeriod) + 1;
-    this.dataLength = cachedKlineData.length;
+    this.canOpenLong = CONFIG.TRADE_DIRECTION !== "SHORT";
+    this.canOpenShort = CONFIG.TRADE_DIRECTION !== "LONG";
 
     this.orderAmountPercent = CONFIG.ORDER_AMOUNT_PERCENT / 100;
     this.leverageReciprocal = 1 / this.leverage;
-    this.liquidationMultiplier = 1 - this.leverageReciprocal;
     this.hourMsReciprocal = 1 / CONFIG.HOUR_MS;
   }
 
-  getSignal(preRsiLong, preRsiShort) {
-    if (this.positionType === "NONE" && preRsiLong > this.rsiLongLevel) {
-      return "OPEN_LONG";
-    }
-    if (this.positionType === "LONG" && preRsiShort < this.rsiShortLevel) {
-      return "CLOSE_LONG";
-    }
-    return "NONE";
-  }
-
   /**
    * 計算資金費用的週期數
    */
-  calculateFundingPeriods(closeTimestamp) {
-    if (!this.openTimestamp || !closeTimestamp) return 0;
+  calculateFundingPeriods(openTimestamp, closeTimestamp) {
+    if (!openTimestamp || !closeTimestamp) return 0;
     const periods = Math.floor(
-      (closeTimestamp - this.openTimestamp) / CONFIG.FUNDING_PERIOD_MS
+      (closeTimestamp - openTimestamp) / CONFIG.FUNDING_PERIOD_MS
     );
     return periods > 0 ? periods : 0;
   }
 
-  calculateFundingFee(closePrice, closeTimestamp) {
-    const periods = this.calculateFundingPeriods(closeTimestamp);
+  /**
+   * 單筆進場成交中平倉部分（closeRatio）的資金費用，固定費率依該筆成交時間計算週期
+   */
+  calculateFillFundingFee(fill, closePrice, closeTimestamp, closeRatio) {
+    if (CONFIG.FUNDING_RATE_SOURCE !== "CONSTANT") {
+      return fill.fundingFee * closeRatio;
+    }
+    const periods = this.calculateFundingPeriods(
+      fill.openTimestamp,
+      closeTimestamp
+    );
     if (periods === 0) return 0;
-    return this.positionAmt * closePrice * CONFIG.FUNDING_RATE * periods;
+    return (
+      this.positionSide *
+      fill.amount *
+      closeRatio *
+      closePrice *
+      CONFIG.FUNDING_RATE *
+      periods
+    );
   }
 
   /**
-   * 計算訂單數量
+   * 正資金費率時多單支付、空單收取；使用歷史費率時回傳持倉期間已累計的費用
+   * closeRatio 為本次平倉占持倉數量的比例
    */
-  calculateOrderQuantity(price) {
-    const priceReciprocal = 1 / price;
-    return (
-      this.fund * this.orderAmountPercent * this.leverage * priceReciprocal
+  calculateFundingFee(closePrice, closeTimestamp, closeRatio = 1) {
+    if (CONFIG.FUNDING_RATE_SOURCE !== "CONSTANT") {
+      return this.positionFundingFee * closeRatio;
+    }
+    return this.fills.reduce(
+      (total, fill) =>
+        total +
+        this.calculateFillFundingFee(
+          fill,
+          closePrice,
+          closeTimestamp,
+          closeRatio
+        ),
+      0
     );
   }
 
   /**
-   * 計算持倉價值和費用
+   * 結算發生在當根K線內時，以開盤價計算持倉名目價值的資金費用，並分攤到每筆進場成交
    */
-  calculatePositionValueAndFee(positionAmount, price) {
-    const positionValue = positionAmount * price;
-    const fee = positionValue * CONFIG.FEE;
-    const positionFund = positionValue * this.leverageReciprocal;
-    return { positionValue, fee, positionFund };
+  accrueFundingFee(kline) {
+    for (const fill of this.fills) {
+      fill.fundingFee +=
+        this.positionSide * fill.amount * kline.openPrice * kline.fundingRate;
+    }
+    this.positionFundingFee +=
+      this.positionSide *
+      this.positionAmt *
+      kline.openPrice *
+      kline.fundingRate;
   }
 
-  openLongPosition(kline) {
-    this.openPrice = kline.openPrice;
-    const orderQuantity = this.calculateOrderQuantity(this.openPrice);
-    this.positionAmt = formatBySize(orderQuantity, this.stepSize);
-    const { fee, positionFund } = this.calculatePositionValueAndFee(
-      this.positionAmt,
-      this.openPrice
-    );
+  /**
+   * 部位規模的資金基準，投組引擎改用配置給該交易對的權益
+   */
+  getSizingCapital() {
+    return this.fund;
+  }
 
-    this.positionFund = positionFund;
-    this.fund -= this.positionFund + fee;
-    this.positionType = "LONG";
-    this.openTimestamp = kline.openTime;
-    this.liquidationPrice = this.openPrice * this.liquidationMultiplier;
-    this.positionMaxPrice = kline.highPrice;
-    this.positionMinPrice = kline.lowPrice;
+  /**
+   * 以持續更新的勝率與平均盈虧比（以保證金報酬率計）計算凱利比例，
+   * 已平倉交易少於 KELLY_MIN_TRADES 時回傳null
+   */
+  getKellyFraction() {
+    if (this.totalTrades < CONFIG.KELLY_MIN_TRADES) return null;
+    if (this.winningTrades === 0) return 0;
+    if (this.losingTrades === 0) return CONFIG.KELLY_FRACTION;
+    const winRate = this.winningTrades / this.totalTrades;
+    const payoffRatio =
+      this.totalWinReturn /
+      this.winningTrades /
+      (this.totalLossReturn / this.losingTrades);
+    return CONFIG.KELLY_FRACTION * (winRate - (1 - winRate) / payoffRatio);
   }
 
   /**
-   * 計算平倉的PnL
+   * 依 POSITION_SIZING 計算下單數量，
+   * 保證金不超過可用資金，也不超過資金基準 × ORDER_AMOUNT_PERCENT
    */
-  calculateClosePnL(closePrice, closeTimestamp) {
-    const fee = this.positionAmt * closePrice * CONFIG.FEE;
-    const fundingFee = this.calculateFundingFee(closePrice, closeTimestamp);
-    const priceChange = (closePrice - this.openPrice) * this.positionAmt;
-    return priceChange - fee - fundingFee;
+  calculateOrderQuantity(price, index) {
+    const priceReciprocal = 1 / price;
+    const capital = this.getSizingCapital();
+    const maxQuantity =
+      Math.min(this.fund, capital * this.orderAmountPercent) *
+      this.leverage *
+      priceReciprocal;
+    if (CONFIG.POSITION_SIZING === "FIXED_RISK") {
+      const stopLossDistance = this.getExitDistance(
+        this.stopLoss,
+        CONFIG.STOP_LOSS_TYPE,
+        price,
+        index
+      );
+      return Math.min(
+        (capital * CONFIG.RISK_PER_TRADE_PERCENT) / 100 / stopLossDistance,
+        maxQuantity
+      );
+    }
+    if (CONFIG.POSITION_SIZING === "VOLATILITY_TARGET") {
+      return Math.min(
+        (capital * CONFIG.VOLATILITY_TARGET_PERCENT) /
+          100 /
+          this.sizingAtrData[index - 1],
+        maxQuantity
+      );
+    }
+    if (CONFIG.POSITION_SIZING === "KELLY") {
+      const kellyFraction = this.getKellyFraction();
+      if (kellyFraction === null) return maxQuantity;
+      return Math.min(
+        Math.max(kellyFraction, 0) * capital * this.leverage * priceReciprocal,
+        maxQuantity
+      );
+    }
+    if (CONFIG.POSITION_SIZING === "FIXED_NOTIONAL") {
+      return Math.min(CONFIG.FIXED_NOTIONAL * priceReciprocal, maxQuantity);
+    }
+    return maxQuantity;
   }
 
-  closeLongPosition(kline) {
-    const closePrice = kline.openPrice;
-    const closeTimestamp = kline.openTime;
-    const pnl = this.calculateClosePnL(closePrice, closeTimestamp);
+  /**
+   * 計算持倉價值和費用
+   */
+  calculatePositionValueAndFee(positionAmount, price, feeRate) {
+    const positionValue = positionAmount * price;
+    const fee = positionValue * feeRate;
+    const positionFund = positionValue * this.leverageReciprocal;
+    return { positionValue, fee, positionFund };
+  }
 
-    if (this.shouldLogResults) {
-      this.logTradeResult({
-        closePrice,
-        closeTimestamp,
-        pnl
-      });
+  /**
+   * 依滑價模型計算成交價偏離比例，只使用成交K線之前的資料，最多 MAX_SLIPPAGE_RATE
+   * VOLUME 採平方根市場衝擊：下單量占前一根成交量的比例開根號
+   */
+  calculateSlippageRate(index, price, quantity) {
+    const baseRate = CONFIG.SLIPPAGE_BPS / 10000;
+    if (CONFIG.SLIPPAGE_MODEL === "FIXED") {
+      return Math.min(baseRate, MAX_SLIPPAGE_RATE);
+    }
+    if (CONFIG.SLIPPAGE_MODEL === "VOLATILITY") {
+      return Math.min(
+        baseRate +
+          (CONFIG.SLIPPAGE_FACTOR * this.slippageAtrData[index - 1]) / price,
+        MAX_SLIPPAGE_RATE
+      );
+    }
+    if (CONFIG.SLIPPAGE_MODEL === "VOLUME") {
+      const volume = this.klineColumns.volume[index - 1];
+      return Math.min(
+        volume > 0
+          ? baseRate + CONFIG.SLIPPAGE_FACTOR * Math.sqrt(quantity / volume)
+          : baseRate,
+        MAX_SLIPPAGE_RATE
+      );
     }
+    return 0;
+  }
 
-    this.fund += this.positionFund + pnl;
-    this.updateTradeStats(pnl, closeTimestamp);
-    this.resetPosition();
+  /**
+   * 市價單滑價後的成交價，direction 買進為1、賣出為-1
+   */
+  getSlippagePrice(price, direction, index, quantity) {
+    if (CONFIG.SLIPPAGE_MODEL === "NONE") return price;
+    return (
+      price *
+      (1 + direction * this.calculateSlippageRate(index, price, quantity))
+    );
   }
 
-  calculateFundingFeeForClose(closePrice, closeTimestamp) {
-    return this.calculateFundingFee(closePrice, closeTimestamp);
+  /**
+   * 市價單成交價往不利方向偏移，並累計滑價成本
+   */
+  applySlippage(price, direction, index, quantity) {
+    const fillPrice = this.getSlippagePrice(price, direction, index, quantity);
+    this.totalSlippageCost += Math.abs(fillPrice - price) * quantity;
+    return fillPrice;
   }
 
   /**
-   * 計算MAE和MFE（最大不利偏移和最大有利偏移）
+   * 限價進場單掛在前一根收盤價外側，當根區間觸及才成交；開盤已越過限價則以開盤價成交
    */
-  calculateMAEAndMFE() {
-    if (
-      this.positionType !== "LONG" ||
-      !this.positionMinPrice ||
-      !this.positionMaxPrice
-    ) {
+  getLimitEntryFillPrice(kline, positionSide, index) {
+    const limitPrice =
+      this.klineColumns.closePrice[index - 1] *
+      (1 - (positionSide * CONFIG.LIMIT_ENTRY_OFFSET_PERCENT) / 100);
+    if (positionSide === 1) {
+      return kline.lowPrice <= limitPrice
+        ? Math.min(kline.openPrice, limitPrice)
+        : null;
+    }
+    return kline.highPrice >= limitPrice
+      ? Math.max(kline.openPrice, limitPrice)
+      : null;
+  }
+
+  /**
+   * 送出進場單並扣除保證金與手續費，回傳進場成交；未成交或遭拒單時回傳null
+   * 市價進場以taker費率成交並計入滑價，限價進場以maker費率成交
+   */
+  fillEntryOrder(kline, positionSide, index) {
+    const isLimitOrder = CONFIG.ENTRY_ORDER_TYPE === "LIMIT";
+    const orderPrice = isLimitOrder
+      ? this.getLimitEntryFillPrice(kline, positionSide, index)
+      : kline.openPrice;
+    if (orderPrice === null) {
+      this.unfilledEntries++;
+      return null;
+    }
+
+    // 數量先截斷到數量上限與槓桿分級允許的名目價值再依 LOT_SIZE 步長向下取整，
+    // 低於最小數量或最小名目價值則交易所拒單
+    const { stepSize, minQty, maxQty, marketMaxQty, minNotional } =
+      this.symbolFilters;
+    const positionNotional =
+      this.positionType === "NONE" ? 0 : this.positionAmt * this.openPrice;
+    const amount = formatBySize(
+      Math.min(
+        this.calculateOrderQuantity(orderPrice, index),
+        isLimitOrder ? maxQty : marketMaxQty,
+        Math.max(this.maxLeverageNotional - positionNotional, 0) / orderPrice
+      ),
+      stepSize
+    );
+    if (!(
+      amount > 0 &&
+      amount >= minQty &&
+      amount * orderPrice >= minNotional
+    )) {
+      this.rejectedEntries++;
+      return null;
+    }
+    const price = isLimitOrder
+      ? orderPrice
+      : this.applySlippage(orderPrice, positionSide, index, amount);
+    const { fee, positionFund } = this.calculatePositionValueAndFee(
+      amount,
+      price,
+      isLimitOrder ? CONFIG.MAKER_FEE : CONFIG.FEE
+    );
+    this.fund -= positionFund + fee;
+    return {
+      amount,
+      price,
+      fee,
+      positionFund,
+      fundingFee: 0,
+      openTimestamp: kline.openTime,
+      maxPrice: kline.highPrice,
+      minPrice: kline.lowPrice
+    };
+  }
+
+  /**
+   * 開新倉位，回傳是否成交
+   */
+  openPosition(kline, positionType, index) {
+    const positionSide = positionType === "LONG" ? 1 : -1;
+    const fill = this.fillEntryOrder(kline, positionSide, index);
+    if (!fill) return false;
+
+    this.fills = [fill];
+    this.positionAmt = fill.amount;
+    this.openPrice = fill.price;
+    this.positionFund = fill.positionFund;
+    this.positionType = positionType;
+    this.positionSide = positionSide;
+    this.openTimestamp = kline.openTime;
+    this.lastEntryIndex = index;
+    this.liquidationPrice = this.calculateLiquidationPrice();
+    this.positionMaxPrice = kline.highPrice;
+    this.positionMinPrice = kline.lowPrice;
+    return true;
+  }
+
+  /**
+   * 同向進場訊號成立時可否加碼：未達層數上限，且距上一筆進場至少 PYRAMIDING_MIN_BARS 根K線、
+   * 開盤價與上一筆進場價相差至少 PYRAMIDING_MIN_DISTANCE_PERCENT
+   */
+  canAddPositionLayer(kline, index) {
+    if (this.fills.length >= CONFIG.PYRAMIDING_LAYERS) return false;
+    if (index - this.lastEntryIndex < CONFIG.PYRAMIDING_MIN_BARS) return false;
+    const lastEntryPrice = this.fills[this.fills.length - 1].price;
+    return (
+      (Math.abs(kline.openPrice - lastEntryPrice) / lastEntryPrice) * 100 >=
+      CONFIG.PYRAMIDING_MIN_DISTANCE_PERCENT
+    );
+  }
+
+  /**
+   * 同向進場訊號再次成立時加碼，持倉均價以成交數量加權，回傳是否成交
+   */
+  addPositionLayer(kline, index) {
+    const fill = this.fillEntryOrder(kline, this.positionSide, index);
+    if (!fill) return false;
+
+    const positionAmt = this.positionAmt + fill.amount;
+    this.openPrice =
+      (this.openPrice * this.positionAmt + fill.price * fill.amount) /
+      positionAmt;
+    this.positionAmt = positionAmt;
+    this.positionFund += fill.positionFund;
+    this.fills.push(fill);
+    this.lastEntryIndex = index;
+    this.scaleInEntries++;
+    this.liquidationPrice = this.calculateLiquidationPrice();
+    return true;
+  }
+
+  /**
+   * 依進場價或進場前一根的ATR計算停損/停利距離
+   */
+  getExitDistance(value, type, price, index) {
+    if (value === null || type === "NONE") return null;
+    if (type === "ATR") {
+      return this.exitAtrData[index - 1] * value;
+    }
+    return (price * value) / 100;
+  }
+
+  /**
+   * 進場或加碼成交後依持倉均價設定停損/停利距離，移動停損基準只在開倉時設定
+   */
+  setExitOrders(index) {
+    this.stopLossDistance = this.getExitDistance(
+      this.stopLoss,
+      CONFIG.STOP_LOSS_TYPE,
+      this.openPrice,
+      index
+    );
+    this.takeProfitDistance = this.getExitDistance(
+      this.takeProfit,
+      CONFIG.TAKE_PROFIT_TYPE,
+      this.openPrice,
+      index
+    );
+    if (this.trailingExtremePrice === null) {
+      this.trailingExtremePrice = this.openPrice;
+    }
+  }
+
+  /**
+   * 計算停損價，移動停損以持倉期間（不含當根）的最佳價格為基準
+   * 百分比移動停損隨最佳價格等比例調整，ATR移動停損維持進場時的距離
+   */
+  getStopLossPrice() {
+    if (!CONFIG.IS_TRAILING_STOP) {
+      return this.openPrice - this.positionSide * this.stopLossDistance;
+    }
+    const distance =
+      CONFIG.STOP_LOSS_TYPE === "PERCENT"
+        ? (this.trailingExtremePrice * this.stopLoss) / 100
+        : this.stopLossDistance;
+    return this.trailingExtremePrice - this.positionSide * distance;
+  }
+
+  /**
+   * 停利分批時本批平倉數量：持倉總量乘上累計批次比例，扣掉停利實際已平倉的數量
+   * 先前低於最小數量而略過的批次會併入本批，最後一批平掉全部
+   */
+  getTakeProfitQuantity() {
+    const closedPercent = CONFIG.TAKE_PROFIT_TRANCHES.slice(
+      0,
+      this.takeProfitTrancheIndex + 1
+    ).reduce((sum, percent) => sum + percent, 0);
+    if (closedPercent >= 100) return this.positionAmt;
+    const totalAmt = this.positionAmt + this.takeProfitClosedAmt;
+    return formatBySize(
+      (totalAmt * closedPercent) / 100 - this.takeProfitClosedAmt,
+      this.symbolFilters.stepSize
+    );
+  }
+
+  /**
+   * 檢查停損/停利是否在當根K線內觸發
+   * 同一根同時觸及時保守假設先停損；跳空越過時以開盤價成交；滑價後的成交價越過爆倉價則交由爆倉處理
+   * 停損為市價單（taker、計入滑價），停利為限價單（maker）
+   * 第N批停利目標為持倉均價外N倍停利距離，同一根可連續觸發多批
+   */
+  checkExitOrders(kline, index) {
+    const { openPrice, highPrice, lowPrice } = kline;
+    const isLong = this.positionType === "LONG";
+
+    if (this.stopLossDistance !== null) {
+      const stopPrice = this.getStopLossPrice();
+      if (isLong ? lowPrice <= stopPrice : highPrice >= stopPrice) {
+        const fillPrice = isLong
+          ? Math.min(openPrice, stopPrice)
+          : Math.max(openPrice, stopPrice);
+        const slippedPrice = this.getSlippagePrice(
+          fillPrice,
+          -this.positionSide,
+          index,
+          this.positionAmt
+        );
+        if (
+          isLong
+            ? slippedPrice > this.liquidationPrice
+            : slippedPrice < this.liquidationPrice
+        ) {
+          this.closePosition(kline, index, {
+            closePrice: fillPrice,
+            closeTimestamp:
+              fillPrice === openPrice ? kline.openTime : kline.closeTime,
+            exitReason: CONFIG.IS_TRAILING_STOP ? "TRAILING_STOP" : "STOP_LOSS"
+          });
+        }
+        return;
+      }
+    }
+
+    while (
+      this.takeProfitDistance !== null &&
+      this.takeProfitTrancheIndex < CONFIG.TAKE_PROFIT_TRANCHES.length
+    ) {
+      const targetPrice =
+        this.openPrice +
+        this.positionSide *
+          this.takeProfitDistance *
+          (this.takeProfitTrancheIndex + 1);
+      if (isLong ? highPrice < targetPrice : lowPrice > targetPrice) return;
+      const fillPrice = isLong
+        ? Math.max(openPrice, targetPrice)
+        : Math.min(openPrice, targetPrice);
+      const quantity = this.getTakeProfitQuantity();
+      this.takeProfitTrancheIndex++;
+      // 取整後低於最小數量的批次交易所不接受，直接略過
+      if (!(quantity > 0) || quantity < this.symbolFilters.minQty) continue;
+      // 平倉前累計，最後一批平掉全部時由 resetPosition 歸零
+      this.takeProfitClosedAmt += quantity;
+      this.closePosition(kline, index, {
+        closePrice: fillPrice,
+        closeTimestamp:
+          fillPrice === openPrice ? kline.openTime : kline.closeTime,
+        exitReason: "TAKE_PROFIT",
+        isMakerOrder: true,
+        quantity
+      });
+    }
+  }
+
+  /**
+   * 當根檢查完出場後，以當根高低價更新移動停損基準
+   */
+  updateTrailingExtremePrice(highPrice, lowPrice) {
+    if (this.positionType === "LONG" && highPrice > this.trailingExtremePrice) {
+      this.trailingExtremePrice = highPrice;
+    } else if (
+      this.positionType === "SHORT" &&
+      lowPrice < this.trailingExtremePrice
+    ) {
+      this.trailingExtremePrice = lowPrice;
+    }
+  }
+
+  /**
+   * 依持倉名目價值找出維持保證金分級
+   */
+  getLeverageBracket(notional) {
+    for (const bracket of this.leverageBrackets) {
+      if (notional < bracket.notionalCap) return bracket;
+    }
+    return this.leverageBrackets[this.leverageBrackets.length - 1];
+  }
+
+  /**
+   * 幣安單一倉位爆倉價：(WB + cum - side × Q × EP) / (Q × MMR - side × Q + Q × FEE)
+   * 逐倉WB為該倉保證金扣除開倉手續費，全倉WB為整個錢包餘額；兩者都再扣除已累計的資金費用，
+   * 分母的 Q × FEE 為以爆倉價平倉的手續費；cum為分級的維持保證金速算額
+   */
+  calculateLiquidationPrice(accruedFundingFee = 0) {
+    const { maintMarginRatio, cum } = this.getLeverageBracket(
+      this.positionAmt * this.openPrice
+    );
+    const walletBalance =
+      (CONFIG.MARGIN_TYPE === "CROSSED"
+        ? this.fund + this.positionFund
+        : this.positionFund -
+          this.fills.reduce((total, fill) => total + fill.fee, 0)) -
+      accruedFundingFee;
+    return (
+      (walletBalance +
+        cum -
+        this.positionSide * this.positionAmt * this.openPrice) /
+      (this.positionAmt * maintMarginRatio -
+        this.positionSide * this.positionAmt +
+        this.positionAmt * CONFIG.FEE)
+    );
+  }
+
+  /**
+   * 爆倉以爆倉價記錄為虧損交易：逐倉損失全部保證金，全倉損失整個錢包餘額
+   */
+  liquidatePosition(kline) {
+    const closePrice = this.liquidationPrice;
+    const closeTimestamp = kline.closeTime;
+    // 已付的資金費用包含在損失的保證金內，只記錄不另外扣除
+    const fundingFee = this.calculateFundingFee(closePrice, closeTimestamp);
+    const pnl =
+      CONFIG.MARGIN_TYPE === "CROSSED"
+        ? -(this.fund + this.positionFund)
+        : -this.positionFund;
+
+    if (this.shouldLogResults) {
+      this.logTradeResult({
+        closePrice,
+        closeTimestamp,
+        pnl,
+        fundingFee,
+        exitReason: "LIQUIDATION"
+      });
+    }
+
+    this.fund += this.positionFund + pnl;
+    this.liquidatedTrades++;
+    this.updateTradeStats(pnl, closeTimestamp, fundingFee, this.positionFund);
+    this.resetPosition();
+  }
+
+  /**
+   * 計算平倉的PnL，quantity 為平倉數量
+   */
+  calculateClosePnL(
+    closePrice,
+    fundingFee,
+    feeRate = CONFIG.FEE,
+    quantity = this.positionAmt
+  ) {
+    const fee = quantity * closePrice * feeRate;
+    const priceChange =
+      (closePrice - this.openPrice) * quantity * this.positionSide;
+    return priceChange - fee - fundingFee;
+  }
+
+  /**
+   * 平倉 quantity 數量，未平掉全部時各筆進場成交依比例減少，保證金與已累計資金費用同比例釋放
+   */
+  closePosition(
+    kline,
+    index,
+    {
+      closePrice: orderPrice = kline.openPrice,
+      closeTimestamp = kline.openTime,
+      exitReason = "SIGNAL",
+      isMakerOrder = false,
+      quantity = this.positionAmt
+    } = {}
+  ) {
+    const isPartial = quantity < this.positionAmt;
+    const closeRatio = isPartial ? quantity / this.positionAmt : 1;
+    // 資料結束時以最後收盤價結算部位，不是實際送出的市價單，不計滑價
+    const closePrice =
+      isMakerOrder || exitReason === "END"
+        ? orderPrice
+        : this.applySlippage(orderPrice, -this.positionSide, index, quantity);
+    const fundingFee = this.calculateFundingFee(
+      closePrice,
+      closeTimestamp,
+      closeRatio
+    );
+    const pnl = this.calculateClosePnL(
+      closePrice,
+      fundingFee,
+      isMakerOrder ? CONFIG.MAKER_FEE : CONFIG.FEE,
+      quantity
+    );
+    const closedFund = this.positionFund * closeRatio;
+
+    if (this.shouldLogResults) {
+      this.logTradeResult({
+        closePrice,
+        closeTimestamp,
+        pnl,
+        fundingFee,
+        exitReason,
+        closeRatio
+      });
+    }
+
+    this.fund += closedFund + pnl;
+    this.updateTradeStats(pnl, closeTimestamp, fundingFee, closedFund);
+    if (isPartial) {
+      this.reducePosition(quantity, closeRatio);
+    } else {
+      this.resetPosition();
+    }
+  }
+
+  /**
+   * 部分平倉後保留的持倉，各筆進場成交的數量、保證金、手續費與資金費用按比例減少
+   */
+  reducePosition(quantity, closeRatio) {
+    const keepRatio = 1 - closeRatio;
+    for (const fill of this.fills) {
+      fill.amount *= keepRatio;
+      fill.positionFund *= keepRatio;
+      fill.fee *= keepRatio;
+      fill.fundingFee *= keepRatio;
+    }
+    this.positionAmt -= quantity;
+    this.positionFund *= keepRatio;
+    this.positionFundingFee *= keepRatio;
+    this.liquidationPrice = this.calculateLiquidationPrice();
+  }
+
+  calculateFundingFeeForClose(closePrice, closeTimestamp) {
+    return this.calculateFundingFee(closePrice, closeTimestamp);
+  }
+
+  /**
+   * 計算MAE和MFE（最大不利偏移和最大有利偏移），預設以持倉均價與持倉期間價格區間計算
+   */
+  calculateMAEAndMFE(
+    openPrice = this.openPrice,
+    minPrice = this.positionMinPrice,
+    maxPrice = this.positionMaxPrice
+  ) {
+    if (this.positionType === "NONE" || !minPrice || !maxPrice) {
       return {
         mae: 0,
         mfe: 0,
@@ -689,8 +2664,10 @@ class BacktestEngine {
       };
     }
 
-    const mae = -(this.openPrice - this.positionMinPrice) / this.openPrice;
-    const mfe = (this.positionMaxPrice - this.openPrice) / this.openPrice;
+    const adversePrice = this.positionType === "LONG" ? minPrice : maxPrice;
+    const favorablePrice = this.positionType === "LONG" ? maxPrice : minPrice;
+    const mae = ((adversePrice - openPrice) * this.positionSide) / openPrice;
+    const mfe = ((favorablePrice - openPrice) * this.positionSide) / openPrice;
     return {
       mae,
       mfe,
@@ -699,36 +2676,80 @@ class BacktestEngine {
     };
   }
 
-  logTradeResult({ closePrice, closeTimestamp, pnl }) {
-    const finalFund = this.fund + this.positionFund + pnl;
-    const pnlPercent = pnl / this.positionFund;
+  /**
+   * 記錄一次平倉，fills 列出本次平倉涵蓋的每筆進場成交（數量、手續費、資金費用與MAE/MFE）
+   */
+  logTradeResult({
+    closePrice,
+    closeTimestamp,
+    pnl,
+    fundingFee,
+    exitReason,
+    closeRatio = 1
+  }) {
+    const closedFund = this.positionFund * closeRatio;
+    const finalFund = this.fund + closedFund + pnl;
+    const pnlPercent = pnl / closedFund;
     const holdHours = calculateHours(this.openTimestamp, closeTimestamp);
     const { mae, mfe, maeLeveraged, mfeLeveraged } = this.calculateMAEAndMFE();
+    const fills = this.fills.map((fill) => {
+      const fillExcursion = this.calculateMAEAndMFE(
+        fill.price,
+        fill.minPrice,
+        fill.maxPrice
+      );
+      return {
+        openTimestamp: fill.openTimestamp,
+        openPrice: fill.price,
+        quantity: fill.amount * closeRatio,
+        fee: fill.fee * closeRatio,
+        fundingFee: this.calculateFillFundingFee(
+          fill,
+          closePrice,
+          closeTimestamp,
+          closeRatio
+        ),
+        mae: fillExcursion.mae,
+        mfe: fillExcursion.mfe
+      };
+    });
 
     this.tradeRecords.push({
       finalFund,
       positionType: this.positionType,
       openPrice: this.openPrice,
       closePrice,
+      quantity: this.positionAmt * closeRatio,
       pnl,
       pnlPercent,
+      fundingFee,
       openTimestamp: this.openTimestamp,
       closeTimestamp,
       holdHours,
       mae,
       mfe,
       maeLeveraged,
-      mfeLeveraged
+      mfeLeveraged,
+      exitReason,
+      isPartial: closeRatio < 1,
+      isLiquidated: exitReason === "LIQUIDATION",
+      fills
     });
   }
 
-  updateTradeStats(pnl, closeTimestamp) {
+  /**
+   * closedFund 為本次平倉釋放的保證金，用於計算凱利比例的保證金報酬率
+   */
+  updateTradeStats(pnl, closeTimestamp, fundingFee, closedFund) {
     this.totalTrades++;
     this.totalPnl += pnl;
+    this.totalFundingFee += fundingFee;
     if (pnl > 0) {
       this.winningTrades++;
+      this.totalWinReturn += pnl / closedFund;
     } else {
       this.losingTrades++;
+      this.totalLossReturn -= pnl / closedFund;
     }
     this.totalHoldTimeHours +=
       (closeTimestamp - this.openTimestamp) * this.hourMsReciprocal;
@@ -736,6 +2757,7 @@ class BacktestEngine {
 
   resetPosition() {
     this.positionType = "NONE";
+    this.positionSide = 0;
     this.positionAmt = null;
     this.positionFund = null;
     this.openTimestamp = null;
@@ -743,15 +2765,22 @@ class BacktestEngine {
     this.liquidationPrice = null;
     this.positionMaxPrice = null;
     this.positionMinPrice = null;
+    this.stopLossDistance = null;
+    this.takeProfitDistance = null;
+    this.trailingExtremePrice = null;
+    this.positionFundingFee = 0;
+    this.fills = [];
+    this.takeProfitTrancheIndex = 0;
+    this.takeProfitClosedAmt = 0;
   }
 
-  checkLiquidation(curLowPrice) {
-    if (
-      this.positionType === "LONG" &&
-      this.liquidationPrice != null &&
-      curLowPrice < this.liquidationPrice
-    ) {
-      return true;
+  checkLiquidation(curHighPrice, curLowPrice) {
+    if (this.liquidationPrice == null) return false;
+    if (this.positionType === "LONG") {
+      return curLowPrice < this.liquidationPrice;
+    }
+    if (this.positionType === "SHORT") {
+      return curHighPrice > this.liquidationPrice;
     }
     return false;
   }
@@ -760,11 +2789,14 @@ class BacktestEngine {
    * 計算當前總資金
    */
   calculateCurrentTotalFund(curClosePrice) {
-    if (this.positionType === "LONG") {
+    if (this.positionType !== "NONE") {
       return (
         this.fund +
         this.positionFund +
-        (curClosePrice - this.openPrice) * this.positionAmt
+        (curClosePrice - this.openPrice) *
+          this.positionAmt *
+          this.positionSide -
+        this.positionFundingFee
       );
     }
     return this.fund;
@@ -789,7 +2821,7 @@ class BacktestEngine {
   }
 
   /**
-   * 更新持倉的最高價和最低價
+   * 更新持倉與每筆進場成交的最高價和最低價
    */
   updatePositionPriceRange(highPrice, lowPrice) {
     if (highPrice > this.positionMaxPrice) {
@@ -798,87 +2830,153 @@ class BacktestEngine {
     if (lowPrice < this.positionMinPrice) {
       this.positionMinPrice = lowPrice;
     }
+    for (const fill of this.fills) {
+      if (highPrice > fill.maxPrice) fill.maxPrice = highPrice;
+      if (lowPrice < fill.minPrice) fill.minPrice = lowPrice;
+    }
   }
 
-  closePositionAtEnd() {
-    if (this.positionType !== "LONG") return;
-
-    const lastKline = this.cachedKlineData[this.dataLength - 1];
-    const closePrice = lastKline.closePrice;
-    const closeTimestamp = lastKline.closeTime;
+  /**
+   * 以 lastIndex 那根K線的收盤價平掉剩餘持倉，預設為資料最後一根
+   */
+  closePositionAtEnd(lastIndex = this.dataLength - 1) {
+    if (this.positionType === "NONE") return;
 
+    const lastKline = this.getKline(lastIndex);
     this.updatePositionPriceRange(lastKline.highPrice, lastKline.lowPrice);
-    const pnl = this.calculateClosePnL(closePrice, closeTimestamp);
-
-    if (this.shouldLogResults) {
-      this.logTradeResult({
-        closePrice,
-        closeTimestamp,
-        pnl
-      });
-    }
+    this.closePosition(lastKline, lastIndex, {
+      closePrice: lastKline.closePrice,
+      closeTimestamp: lastKline.closeTime,
+      exitReason: "END"
+    });
+  }
 
-    this.fund += this.positionFund + pnl;
-    this.updateTradeStats(pnl, closeTimestamp);
-    this.resetPosition();
+  isDepleted() {
+    return this.fund <= 0;
   }
 
-  run() {
-    if (
-      !this.rsiLongData ||
-      this.rsiLongData.length === 0 ||
-      !this.rsiShortData ||
-      this.rsiShortData.length === 0
-    )
-      return null;
+  /**
+   * 從共享欄位陣列讀出單根K線
+   */
+  getKline(index) {
+    const { klineColumns } = this;
+    return {
+      openPrice: klineColumns.openPrice[index],
+      highPrice: klineColumns.highPrice[index],
+      lowPrice: klineColumns.lowPrice[index],
+      closePrice: klineColumns.closePrice[index],
+      volume: klineColumns.volume[index],
+      openTime: klineColumns.openTime[index],
+      closeTime: klineColumns.closeTime[index],
+      fundingRate: klineColumns.fundingRate[index]
+    };
+  }
 
-    for (let i = this.startIndex; i < this.dataLength; i++) {
-      const curKline = this.cachedKlineData[i];
-      const curClosePrice = curKline.closePrice;
-      const curLowPrice = curKline.lowPrice;
-      const curHighPrice = curKline.highPrice;
+  /**
+   * 處理單根K線，回傳false表示需提前結束回測（回撤超標時另標記isRejected）
+   */
+  processBar(i) {
+    const curKline = this.getKline(i);
+    const curClosePrice = curKline.closePrice;
+    const curLowPrice = curKline.lowPrice;
+    const curHighPrice = curKline.highPrice;
+
+    if (this.positionType !== "NONE") {
+      this.updatePositionPriceRange(curHighPrice, curLowPrice);
+    }
 
-      const preRsiLong = this.rsiLongData[i - 1];
-      const preRsiShort = this.rsiShortData[i - 1];
+    // 資金費率在整點（當根開盤）結算，由開盤前持有的部位支付：開盤平倉的部位要付、開盤開倉的部位不付
+    if (this.positionType !== "NONE" && curKline.fundingRate !== 0) {
+      this.accrueFundingFee(curKline);
+    }
 
-      if (preRsiLong == null || preRsiShort == null) {
-        continue;
+    const signal = this.strategy.onBar(this, i);
+    const isEntrySignal = signal === "OPEN_LONG" || signal === "OPEN_SHORT";
+
+    if (isEntrySignal) {
+      const positionType = signal === "OPEN_LONG" ? "LONG" : "SHORT";
+      if (this.positionType === "NONE") {
+        if (this.openPosition(curKline, positionType, i)) this.setExitOrders(i);
+      } else if (
+        // 持續成立的訊號依間隔限制加碼，不需要先中斷
+        this.positionType === positionType &&
+        this.canAddPositionLayer(curKline, i)
+      ) {
+        if (this.addPositionLayer(curKline, i)) this.setExitOrders(i);
       }
+    } else if (signal === "CLOSE_LONG" || signal === "CLOSE_SHORT") {
+      this.closePosition(curKline, i);
+    }
+    this.isEntrySignalActive = isEntrySignal;
 
-      if (this.positionType === "LONG") {
-        this.updatePositionPriceRange(curHighPrice, curLowPrice);
-      }
+    if (this.positionType !== "NONE") {
+      this.checkExitOrders(curKline, i);
+    }
 
-      const signal = this.getSignal(preRsiLong, preRsiShort);
+    // 已累計的資金費用會侵蝕保證金，每根依當根開盤為止的費用更新爆倉價
+    if (this.positionType !== "NONE") {
+      this.liquidationPrice = this.calculateLiquidationPrice(
+        this.calculateFundingFee(curKline.openPrice, curKline.openTime)
+      );
+    }
 
-      if (signal === "OPEN_LONG") {
-        this.openLongPosition(curKline);
+    if (this.checkLiquidation(curHighPrice, curLowPrice)) {
+      this.liquidatePosition(curKline);
+      this.updateDrawdown(curClosePrice);
+      if (this.isDrawdownExceeded()) {
+        this.isRejected = true;
+        return false;
       }
+      // 資金歸零後無法再開倉
+      if (this.isDepleted()) return false;
+    }
 
-      if (signal === "CLOSE_LONG" && this.positionType === "LONG") {
-        this.closeLongPosition(curKline);
-      }
+    if (this.positionType !== "NONE") {
+      this.updateTrailingExtremePrice(curHighPrice, curLowPrice);
+    }
 
-      if (this.checkLiquidation(curLowPrice)) {
-        return null;
+    if (
+      this.positionType !== "NONE" ||
+      this.peakFund > CONFIG.INITIAL_FUNDING
+    ) {
+      this.updateDrawdown(curClosePrice);
+      if (this.isDrawdownExceeded()) {
+        this.isRejected = true;
+        return false;
       }
-
-      if (
-        this.positionType === "LONG" ||
-        this.peakFund > CONFIG.INITIAL_FUNDING
-      ) {
-        this.updateDrawdown(curClosePrice);
-        if (this.isDrawdownExceeded()) {
-          return null;
-        }
-      } else {
-        if (this.fund > this.peakFund) {
-          this.peakFund = this.fund;
-        }
+    } else {
+      if (this.fund > this.peakFund) {
+        this.peakFund = this.fund;
       }
     }
 
+    if (this.shouldRecordEquityCurve) {
+      this.equityCurve.push({
+        timestamp: curKline.closeTime,
+        fund: this.calculateCurrentTotalFund(curClosePrice)
+      });
+    }
+
+    return true;
+  }
+
+  run() {
+    if (
+      Object.values(this.indicators).some(
+        (series) => !series || series.length === 0
+      )
+    )
+      return null;
+
+    for (let i = this.startIndex; i < this.dataLength; i++) {
+      if (!this.processBar(i)) break;
+    }
+    if (this.isRejected) return null;
+
     this.closePositionAtEnd();
+    if (this.shouldRecordEquityCurve && this.equityCurve.length > 0) {
+      this.equityCurve[this.equityCurve.length - 1].fund = this.fund;
+    }
 
     return this.getResult();
   }
@@ -887,47 +2985,65 @@ class BacktestEngine {
     return {
       currentPositionType: this.positionType,
       fund: this.fund,
-      rsiLongPeriod: this.rsiLongPeriod,
-      rsiShortPeriod: this.rsiShortPeriod,
-      rsiLongLevel: this.rsiLongLevel,
-      rsiShortLevel: this.rsiShortLevel,
+      ...this.params,
       leverage: this.leverage,
+      stopLoss: this.stopLoss,
+      takeProfit: this.takeProfit,
+      strategy: CONFIG.STRATEGY,
+      tradeDirection: CONFIG.TRADE_DIRECTION,
       totalTrades: this.totalTrades,
       winningTrades: this.winningTrades,
       losingTrades: this.losingTrades,
+      liquidatedTrades: this.liquidatedTrades,
+      unfilledEntries: this.unfilledEntries,
+      rejectedEntries: this.rejectedEntries,
+      scaleInEntries: this.scaleInEntries,
       winRate: this.totalTrades > 0 ? this.winningTrades / this.totalTrades : 0,
       totalPnl: this.totalPnl,
+      totalFundingFee: this.totalFundingFee,
+      totalSlippageCost: this.totalSlippageCost,
       totalReturn:
         (this.fund - CONFIG.INITIAL_FUNDING) / CONFIG.INITIAL_FUNDING,
       maxDrawdown: this.maxDrawdown,
       averageHoldTimeHours:
         this.totalTrades > 0 ? this.totalHoldTimeHours / this.totalTrades : 0,
-      tradeRecords: this.tradeRecords
+      tradeRecords: this.tradeRecords,
+      equityCurve: this.equityCurve
     };
   }
 }
 
 const getBacktestResult = ({
   shouldLogResults,
+  shouldRecordEquityCurve,
   cachedKlineData,
-  cachedRsiData,
-  stepSize,
-  rsiLongPeriod,
-  rsiShortPeriod,
-  rsiLongLevel,
-  rsiShortLevel,
+  klineColumns = getKlineColumns(cachedKlineData),
+  cachedIndicatorData,
+  symbolFilters,
+  leverageBrackets,
   leverage,
-  maxDrawdownThreshold = null
+  stopLoss = null,
+  takeProfit = null,
+  maxDrawdownThreshold = null,
+  klineRange = null,
+  ...params
 }) => {
-  const engine = new BacktestEngine(cachedKlineData, cachedRsiData, stepSize, {
-    rsiLongPeriod,
-    rsiShortPeriod,
-    rsiLongLevel,
-    rsiShortLevel,
-    leverage,
-    shouldLogResults,
-    maxDrawdownThreshold
-  });
+  const engine = new BacktestEngine(
+    klineColumns,
+    cachedIndicatorData,
+    symbolFilters,
+    {
+      params,
+      leverageBrackets,
+      leverage,
+      stopLoss,
+      takeProfit,
+      shouldLogResults,
+      shouldRecordEquityCurve,
+      maxDrawdownThreshold,
+      klineRange
+    }
+  );
   return engine.run();
 };
 
@@ -989,6 +3105,35 @@ const calculateAverageMAEAndMFE = (tradeRecords) => {
   };
 };
 
+/**
+ * 計算多空雙方各自的交易統計
+ */
+const calculateSideStatistics = (tradeRecords) => {
+  const sideStatistics = {};
+  for (const positionType of ["LONG", "SHORT"]) {
+    const trades = tradeRecords.filter((t) => t.positionType === positionType);
+    const winningTrades = trades.filter((t) => t.pnl > 0).length;
+    sideStatistics[positionType] = {
+      totalTrades: trades.length,
+      winningTrades,
+      winRate: trades.length > 0 ? winningTrades / trades.length : 0,
+      totalPnl: trades.reduce((sum, t) => sum + t.pnl, 0)
+    };
+  }
+  return sideStatistics;
+};
+
+/**
+ * 統計各出場原因的交易數
+ */
+const calculateExitReasonCounts = (tradeRecords) => {
+  const exitReasonCounts = {};
+  for (const { exitReason } of tradeRecords) {
+    exitReasonCounts[exitReason] = (exitReasonCounts[exitReason] || 0) + 1;
+  }
+  return exitReasonCounts;
+};
+
 /**
  * 計算年化報酬率
  */
@@ -1009,7 +3154,7 @@ const calculateCalmarRatio = (annualizedReturn, maxDrawdown) => {
 };
 
 /**
- * 計算週期性回報和持倉時間
+ * 計算週期性回報和持倉時間，分批平倉的紀錄共用開倉時間，持倉時間只從前一筆平倉後起算
  */
 const calculatePeriodicReturnsAndExposure = (
   tradeRecords,
@@ -1018,13 +3163,17 @@ const calculatePeriodicReturnsAndExposure = (
 ) => {
   const periodicReturns = [];
   let previousFund = CONFIG.INITIAL_FUNDING;
+  let previousCloseTimestamp = -Infinity;
   let totalPositionTime = 0;
 
   for (const trade of tradeRecords) {
     const periodReturn = (trade.finalFund - previousFund) / previousFund;
     periodicReturns.push(periodReturn);
     previousFund = trade.finalFund;
-    totalPositionTime += trade.closeTimestamp - trade.openTimestamp;
+    totalPositionTime +=
+      trade.closeTimestamp -
+      Math.max(trade.openTimestamp, previousCloseTimestamp);
+    previousCloseTimestamp = trade.closeTimestamp;
   }
 
   const totalBacktestTime = backtestEndTime - backtestStartTime;
@@ -1082,6 +3231,23 @@ const calculateSortinoRatio = (periodicReturns, backtestDays) => {
   return annualizedMeanReturn / annualizedStdDev;
 };
 
+/**
+ * 計算權益曲線的最大回撤
+ */
+const calculateEquityCurveMaxDrawdown = (equityCurve) => {
+  let peakFund = CONFIG.INITIAL_FUNDING;
+  let maxDrawdown = 0;
+  for (const { fund } of equityCurve) {
+    if (fund > peakFund) {
+      peakFund = fund;
+    } else {
+      const drawdown = (peakFund - fund) / peakFund;
+      if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+    }
+  }
+  return maxDrawdown;
+};
+
 /**
  * 提取最佳和最差交易
  */
@@ -1103,11 +3269,13 @@ const extractBestAndWorstTrades = (tradeRecords) => {
 /**
  * 計算回測期間資訊
  */
-const calculateBacktestPeriod = (cachedKlineData) => {
-  const firstKline = cachedKlineData[0];
-  const lastKline = cachedKlineData[cachedKlineData.length - 1];
-  const backtestStartTime = firstKline.openTime;
-  const backtestEndTime = lastKline.closeTime;
+const calculateBacktestPeriod = (klineColumns, klineRange = null) => {
+  const backtestStartTime =
+    klineColumns.openTime[klineRange ? klineRange.start : 0];
+  const backtestEndTime =
+    klineColumns.closeTime[
+      (klineRange ? klineRange.end : klineColumns.closeTime.length) - 1
+    ];
   const backtestDays =
     (backtestEndTime - backtestStartTime) / (1000 * 60 * 60 * 24);
 
@@ -1120,7 +3288,8 @@ const calculateBacktestPeriod = (cachedKlineData) => {
 const calculateAllBacktestMetrics = (
   bestResult,
   detailedResult,
-  cachedKlineData
+  klineColumns,
+  klineRange = null
 ) => {
   const tradeRecords = detailedResult.tradeRecords || [];
   const { totalReturn, maxDrawdown } = bestResult;
@@ -1138,7 +3307,7 @@ const calculateAllBacktestMetrics = (
 
   // 計算回測期間
   const { backtestStartTime, backtestEndTime, backtestDays } =
-    calculateBacktestPeriod(cachedKlineData);
+    calculateBacktestPeriod(klineColumns, klineRange);
 
   // 計算年化報酬率和風險指標
   const annualizedReturn = calculateAnnualizedReturn(totalReturn, backtestDays);
@@ -1155,6 +3324,10 @@ const calculateAllBacktestMetrics = (
   const sharpeRatio = calculateSharpeRatio(periodicReturns, backtestDays);
   const sortinoRatio = calculateSortinoRatio(periodicReturns, backtestDays);
 
+  // 計算多空雙方統計
+  const sideStatistics = calculateSideStatistics(tradeRecords);
+  const exitReasonCounts = calculateExitReasonCounts(tradeRecords);
+
   return {
     bestTrade,
     worstTrade,
@@ -1172,30 +3345,194 @@ const calculateAllBacktestMetrics = (
     calmarRatio,
     sharpeRatio,
     sortinoRatio,
-    exposure
+    exposure,
+    sideStatistics,
+    exitReasonCounts
   };
 };
 
 // ==================== End of Calculation Helper Functions ====================
 
-const getSpotBuyAndHoldResult = (cachedKlineData, stepSize) => {
-  if (!cachedKlineData || cachedKlineData.length === 0) {
-    return null;
-  }
+// ==================== Monte Carlo Analysis ====================
 
-  const firstKline = cachedKlineData[0];
-  const lastKline = cachedKlineData[cachedKlineData.length - 1];
+const MONTE_CARLO_PERCENTILES = [5, 25, 50, 75, 95];
 
-  const buyPrice = firstKline.openPrice;
-  const sellPrice = lastKline.closePrice;
-  const initialFund = CONFIG.INITIAL_FUNDING;
+/**
+ * 以平倉前的權益換算每筆平倉的報酬率（分批平倉各算一筆），重排後仍以複利累積
+ * pnl 只含平倉手續費，另扣除各筆進場成交的手續費；持倉天數隨報酬率一起重排
+ * 持倉天數從進場或上一筆平倉（取較晚者）起算，分批平倉與投組中重疊的持倉不會重複計入
+ */
+const getTradeReturns = (tradeRecords) => {
+  let fund = CONFIG.INITIAL_FUNDING;
+  let previousCloseTimestamp = -Infinity;
+  return tradeRecords.map(({ pnl, fills, openTimestamp, closeTimestamp }) => {
+    const netPnl = pnl - fills.reduce((sum, fill) => sum + fill.fee, 0);
+    const tradeReturn = fund > 0 ? Math.max(netPnl / fund, -1) : 0;
+    const holdDays =
+      Math.max(
+        calculateHours(
+          Math.max(openTimestamp, previousCloseTimestamp),
+          closeTimestamp
+        ),
+        0
+      ) / 24;
+    fund += netPnl;
+    previousCloseTimestamp = Math.max(previousCloseTimestamp, closeTimestamp);
+    return { tradeReturn, holdDays };
+  });
+};
 
-  const orderAmountPercent = CONFIG.ORDER_AMOUNT_PERCENT / 100;
-  const openPriceReciprocal = 1 / buyPrice;
-  const orderQuantity = initialFund * orderAmountPercent * openPriceReciprocal;
-  const positionAmt = formatBySize(orderQuantity, stepSize);
-  const positionValue = positionAmt * buyPrice;
-  const openFee = positionValue * CONFIG.FEE;
+/**
+ * 依序套用報酬率，回傳最終資金、最大回撤與回本天數
+ * 回本天數為從跌破前高到回到前高的交易持倉天數總和（含回本那筆，不含交易之間的空手時間），
+ * 取最長一段，至結束仍未回到前高也計入
+ */
+const simulateTradeReturns = (tradeReturns) => {
+  let fund = CONFIG.INITIAL_FUNDING;
+  let peakFund = fund;
+  let maxDrawdown = 0;
+  let underwaterDays = 0;
+  let recoveryDays = 0;
+  for (const { tradeReturn, holdDays } of tradeReturns) {
+    fund *= 1 + tradeReturn;
+    if (fund >= peakFund) {
+      if (underwaterDays > 0) {
+        recoveryDays = Math.max(recoveryDays, underwaterDays + holdDays);
+      }
+      peakFund = fund;
+      underwaterDays = 0;
+    } else {
+      underwaterDays += holdDays;
+      maxDrawdown = Math.max(maxDrawdown, (peakFund - fund) / peakFund);
+      recoveryDays = Math.max(recoveryDays, underwaterDays);
+    }
+  }
+  return { finalFund: fund, maxDrawdown, recoveryDays };
+};
+
+/**
+ * Fisher-Yates 重排交易順序，報酬率不變只改變路徑
+ */
+const shuffleTradeReturns = (tradeReturns, random) => {
+  const shuffledReturns = [...tradeReturns];
+  for (let i = shuffledReturns.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffledReturns[i], shuffledReturns[j]] = [
+      shuffledReturns[j],
+      shuffledReturns[i]
+    ];
+  }
+  return shuffledReturns;
+};
+
+/**
+ * 抽樣放回產生同樣筆數的交易序列，最終資金也會隨之變動
+ */
+const bootstrapTradeReturns = (tradeReturns, random) =>
+  tradeReturns.map(
+    () => tradeReturns[Math.floor(random() * tradeReturns.length)]
+  );
+
+const MONTE_CARLO_METHODS = {
+  SHUFFLE: shuffleTradeReturns,
+  BOOTSTRAP: bootstrapTradeReturns
+};
+
+/**
+ * 已排序數列的百分位數（線性內插）
+ */
+const getPercentile = (sortedValues, percentile) => {
+  const position = ((sortedValues.length - 1) * percentile) / 100;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return (
+    sortedValues[lower] +
+    (sortedValues[upper] - sortedValues[lower]) * (position - lower)
+  );
+};
+
+/**
+ * 回撤超過 MAX_DRAWDOWN_THRESHOLD 視為破產；未設定門檻時以資金歸零為準
+ */
+const isRuinedDrawdown = (maxDrawdown) =>
+  CONFIG.MAX_DRAWDOWN_THRESHOLD === null
+    ? maxDrawdown >= 1
+    : maxDrawdown > CONFIG.MAX_DRAWDOWN_THRESHOLD;
+
+/**
+ * 彙整模擬結果的百分位數與破產機率
+ */
+const summarizeMonteCarloRuns = (runs) => {
+  const percentiles = {};
+  for (const key of ["finalFund", "maxDrawdown", "recoveryDays"]) {
+    const sortedValues = runs.map((run) => run[key]).sort((a, b) => a - b);
+    percentiles[key] = Object.fromEntries(
+      MONTE_CARLO_PERCENTILES.map((percentile) => [
+        `p${percentile}`,
+        getPercentile(sortedValues, percentile)
+      ])
+    );
+  }
+  return {
+    percentiles,
+    riskOfRuin:
+      runs.filter((run) => isRuinedDrawdown(run.maxDrawdown)).length /
+      runs.length
+  };
+};
+
+/**
+ * 以 MONTE_CARLO_SEED 對交易報酬序列各做 MONTE_CARLO_RUNS 次重排與抽樣放回
+ * 未啟用或少於2筆交易時回傳 null
+ */
+const runMonteCarloAnalysis = (tradeRecords) => {
+  if (CONFIG.MONTE_CARLO_RUNS === 0 || tradeRecords.length < 2) return null;
+
+  const tradeReturns = getTradeReturns(tradeRecords);
+  const methods = {};
+  for (const [method, resample] of Object.entries(MONTE_CARLO_METHODS)) {
+    const random = createSeededRandom(CONFIG.MONTE_CARLO_SEED);
+    const runs = Array.from({ length: CONFIG.MONTE_CARLO_RUNS }, () =>
+      simulateTradeReturns(resample(tradeReturns, random))
+    );
+    methods[method] = summarizeMonteCarloRuns(runs);
+  }
+
+  return {
+    runs: CONFIG.MONTE_CARLO_RUNS,
+    seed: CONFIG.MONTE_CARLO_SEED,
+    trades: tradeRecords.length,
+    ruinDrawdown: CONFIG.MAX_DRAWDOWN_THRESHOLD,
+    actual: simulateTradeReturns(tradeReturns),
+    methods
+  };
+};
+
+// ==================== End of Monte Carlo Analysis ====================
+
+const getSpotBuyAndHoldResult = (
+  cachedKlineData,
+  stepSize,
+  klineRange = null
+) => {
+  if (!cachedKlineData || cachedKlineData.length === 0) {
+    return null;
+  }
+
+  const firstKline = cachedKlineData[klineRange ? klineRange.start : 0];
+  const lastKline =
+    cachedKlineData[(klineRange ? klineRange.end : cachedKlineData.length) - 1];
+
+  const buyPrice = firstKline.openPrice;
+  const sellPrice = lastKline.closePrice;
+  const initialFund = CONFIG.INITIAL_FUNDING;
+
+  const orderAmountPercent = CONFIG.ORDER_AMOUNT_PERCENT / 100;
+  const openPriceReciprocal = 1 / buyPrice;
+  const orderQuantity = initialFund * orderAmountPercent * openPriceReciprocal;
+  const positionAmt = formatBySize(orderQuantity, stepSize);
+  const positionValue = positionAmt * buyPrice;
+  const openFee = positionValue * CONFIG.FEE;
 
   const closeFee = positionAmt * sellPrice * CONFIG.FEE;
   const pnl = (sellPrice - buyPrice) * positionAmt - closeFee;
@@ -1203,142 +3540,4068 @@ const getSpotBuyAndHoldResult = (cachedKlineData, stepSize) => {
 
   const totalReturn = (finalFund - initialFund) / initialFund;
 
-  return {
-    finalFund,
-    totalReturn
-  };
+  return {
+    finalFund,
+    totalReturn
+  };
+};
+
+const getAddedNumber = ({ number, addNumber, digit }) =>
+  Number((number + addNumber).toFixed(digit));
+
+const getDecimalPlaces = (number) =>
+  (String(number).split(".")[1] || "").length;
+
+/**
+ * 生成參數範圍數組，小數步長依最小值與步長的小數位數四捨五入
+ */
+const generateParameterRange = (setting) => {
+  const range = [];
+  const digit = Math.max(
+    getDecimalPlaces(setting.min),
+    getDecimalPlaces(setting.step)
+  );
+  for (
+    let value = setting.min;
+    value <= setting.max;
+    value = getAddedNumber({
+      number: value,
+      addNumber: setting.step,
+      digit
+    })
+  ) {
+    range.push(value);
+  }
+  return range;
+};
+
+/**
+ * 參數空間：每個參數的候選值，引擎參數（槓桿、停損、停利）在前
+ */
+const getParameterSpace = () =>
+  [...getEngineParameters(), ...getStrategy().parameters].map(
+    ({ key, configKey }) => ({
+      key,
+      range: generateParameterRange(CONFIG[configKey])
+    })
+  );
+
+/**
+ * 組合內的鍵是策略參數在前、引擎參數在後，與回測結果欄位順序一致
+ */
+const getSettingKeys = () =>
+  [...getStrategy().parameters, ...getEngineParameters()].map(({ key }) => key);
+
+/**
+ * 依各參數的取值建立參數組合，不符合策略限制時回傳null
+ */
+const createSetting = (
+  values,
+  strategy = getStrategy(),
+  engineParameters = getEngineParameters()
+) => {
+  const params = {};
+  for (const { key } of strategy.parameters) params[key] = values[key];
+  if (strategy.isValidParams && !strategy.isValidParams(params)) return null;
+  for (const { key } of engineParameters) params[key] = values[key];
+  return params;
+};
+
+const MAX_PARAMETER_SPACE_SIZE = 2 ** 52;
+const FEISTEL_ROUNDS = 4;
+
+/**
+ * 參數組合的混合進位列舉器：索引依參數空間順序拆成各參數的候選值索引
+ * （第一個參數為最高位，與巢狀迴圈順序相同），不需把所有組合放進記憶體
+ */
+const createSettingEnumerator = (space = getParameterSpace()) => {
+  const strategy = getStrategy();
+  const engineParameters = getEngineParameters();
+  const total = space.reduce((size, { range }) => size * range.length, 1);
+  if (total > MAX_PARAMETER_SPACE_SIZE) {
+    throw new Error(
+      `Parameter space has ${total} combinations, more than ${MAX_PARAMETER_SPACE_SIZE}`
+    );
+  }
+  const values = {};
+  return {
+    total,
+    getSetting(index) {
+      let remainder = index;
+      for (let dimension = space.length - 1; dimension >= 0; dimension--) {
+        const { key, range } = space[dimension];
+        values[key] = range[remainder % range.length];
+        remainder = Math.floor(remainder / range.length);
+      }
+      return createSetting(values, strategy, engineParameters);
+    }
+  };
+};
+
+/**
+ * mulberry32 偽隨機數產生器，相同種子產生相同序列
+ */
+const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * 以種子決定的Feistel網路把 [0, size) 的位置一對一對應到索引，
+ * 結果超出範圍時再加密一次（cycle walking），不需建立整個排列
+ */
+const createIndexPermutation = (size, seed) => {
+  let halfBits = 1;
+  while (2 ** (halfBits * 2) < size) halfBits++;
+  const halfSize = 2 ** halfBits;
+  const random = createSeededRandom(seed);
+  const roundKeys = Array.from({ length: FEISTEL_ROUNDS }, () =>
+    Math.floor(random() * 4294967296)
+  );
+  const encrypt = (value) => {
+    let left = Math.floor(value / halfSize);
+    let right = value % halfSize;
+    for (const key of roundKeys) {
+      let hash = Math.imul(right ^ key, 0x85ebca6b);
+      hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+      hash = (hash ^ (hash >>> 16)) >>> 0;
+      [left, right] = [right, (left + hash) % halfSize];
+    }
+    return left * halfSize + right;
+  };
+  return (position) => {
+    let index = encrypt(position);
+    while (index >= size) index = encrypt(index);
+    return index;
+  };
+};
+
+/**
+ * 依序產生位置區間內的參數組合，isShuffled 時位置先經過種子排列；
+ * 不符合策略限制的位置產生null，只計入進度
+ */
+function* iterateSettings(enumerator, { start, end, isShuffled }) {
+  const getIndex = isShuffled
+    ? createIndexPermutation(enumerator.total, CONFIG.SEARCH_SEED)
+    : (position) => position;
+  for (let position = start; position < end; position++) {
+    yield enumerator.getSetting(getIndex(position));
+  }
+}
+
+/**
+ * 網格搜尋的位置區間；隨機抽樣時取打亂後的前段位置，直到湊滿 RANDOM_SAMPLE_NUMBER 個合法組合
+ */
+const getGridPositionRange = (enumerator) => {
+  if (!CONFIG.RANDOM_SAMPLE_NUMBER) {
+    return { start: 0, end: enumerator.total, isShuffled: false };
+  }
+  const positionRange = { start: 0, end: 0, isShuffled: true };
+  let sampleCount = 0;
+  for (const setting of iterateSettings(enumerator, {
+    ...positionRange,
+    end: enumerator.total
+  })) {
+    if (sampleCount === CONFIG.RANDOM_SAMPLE_NUMBER) break;
+    if (setting) sampleCount++;
+    positionRange.end++;
+  }
+  return positionRange;
+};
+
+/**
+ * 收集指標用的參數組合：引擎參數與門檻參數不影響指標，固定取第一個候選值
+ */
+function* getIndicatorSettings() {
+  const pinnedKeys = new Set(
+    [
+      ...getEngineParameters(),
+      ...getStrategy().parameters.filter(({ isThreshold }) => isThreshold)
+    ].map(({ key }) => key)
+  );
+  const enumerator = createSettingEnumerator(
+    getParameterSpace().map(({ key, range }) => ({
+      key,
+      range: pinnedKeys.has(key) ? range.slice(0, 1) : range
+    }))
+  );
+  for (const setting of iterateSettings(enumerator, {
+    start: 0,
+    end: enumerator.total,
+    isShuffled: false
+  })) {
+    if (setting) yield setting;
+  }
+}
+
+// ==================== Optimization Objective ====================
+
+// 無回撤或無虧損時比率為Infinity，組合分數時先截斷避免單一指標壓過其他權重
+const OBJECTIVE_SCORE_CAP = 1000;
+
+const OBJECTIVES = {
+  TOTAL_RETURN: (result) => result.totalReturn,
+  SHARPE: (result, metrics) => metrics.sharpeRatio,
+  SORTINO: (result, metrics) => metrics.sortinoRatio,
+  CALMAR: (result, metrics) => metrics.calmarRatio,
+  PROFIT_FACTOR: (result, metrics) => metrics.profitFactor,
+  RETURN_DRAWDOWN: (result) =>
+    result.maxDrawdown > 0
+      ? result.totalReturn / result.maxDrawdown
+      : result.totalReturn > 0
+        ? Infinity
+        : result.totalReturn,
+  COMPOSITE: (result, metrics) => {
+    let score = 0;
+    for (const [objective, weight] of Object.entries(
+      CONFIG.OBJECTIVE_WEIGHTS
+    )) {
+      const value = OBJECTIVES[objective](result, metrics);
+      score +=
+        weight *
+        Math.max(-OBJECTIVE_SCORE_CAP, Math.min(OBJECTIVE_SCORE_CAP, value));
+    }
+    return score;
+  }
+};
+
+/**
+ * 只有總報酬目標且無曝險限制時可略過交易紀錄與指標計算
+ */
+const isDetailedScoringRequired = () =>
+  CONFIG.OPTIMIZATION_OBJECTIVE !== "TOTAL_RETURN" || CONFIG.MIN_EXPOSURE > 0;
+
+/**
+ * 計算候選結果的目標分數，不符合限制條件時回傳-Infinity
+ */
+const scoreBacktestResult = (result, klineColumns, klineRange) => {
+  if (result.totalTrades < CONFIG.MIN_TRADES) return -Infinity;
+  if (!isDetailedScoringRequired()) return result.totalReturn;
+
+  const metrics = calculateAllBacktestMetrics(
+    result,
+    result,
+    klineColumns,
+    klineRange
+  );
+  if (metrics.exposure < CONFIG.MIN_EXPOSURE) return -Infinity;
+  return OBJECTIVES[CONFIG.OPTIMIZATION_OBJECTIVE](result, metrics);
+};
+
+// ==================== End of Optimization Objective ====================
+
+// ==================== Leaderboard & Results Export ====================
+
+const EMPTY_BEST_RESULT = { fund: 0, totalReturn: -1, score: -Infinity };
+const RESULT_EXPORT_COLUMNS = [
+  "status",
+  "score",
+  "totalReturn",
+  "maxDrawdown",
+  "winRate",
+  "totalTrades"
+];
+const RESULT_EXPORT_BUFFER_SIZE = 1000;
+const RESULT_EXPORT_CHUNK_SIZE = 20000;
+
+/**
+ * 依分數插入排行榜，同分時排在既有結果之後，只保留前N名
+ */
+const addToLeaderboard = (leaderboard, result) => {
+  if (!(result.score > -Infinity)) return;
+  const lastResult = leaderboard[leaderboard.length - 1];
+  if (
+    leaderboard.length >= CONFIG.LEADERBOARD_SIZE &&
+    !(result.score > lastResult.score)
+  ) {
+    return;
+  }
+  let position = leaderboard.length;
+  while (position > 0 && result.score > leaderboard[position - 1].score) {
+    position--;
+  }
+  leaderboard.splice(position, 0, result);
+  if (leaderboard.length > CONFIG.LEADERBOARD_SIZE) leaderboard.pop();
+};
+
+/**
+ * 依區塊順序合併排行榜，結果與單執行緒依序測試相同
+ */
+const mergeLeaderboards = (leaderboards) => {
+  const mergedLeaderboard = [];
+  for (const leaderboard of leaderboards) {
+    for (const result of leaderboard) {
+      addToLeaderboard(mergedLeaderboard, result);
+    }
+  }
+  return mergedLeaderboard;
+};
+
+/**
+ * 建立單一參數組合的匯出列，被拒絕的組合統計欄位留空
+ */
+const createResultRow = (setting, result) => {
+  const row = Object.values(setting);
+  if (!result) {
+    row.push("REJECTED", null, null, null, null, null);
+    return row;
+  }
+  row.push(
+    result.score > -Infinity ? "OK" : "FILTERED",
+    result.score,
+    result.totalReturn,
+    result.maxDrawdown,
+    result.winRate,
+    result.totalTrades
+  );
+  return row;
+};
+
+/**
+ * 建立結果匯出器，逐批寫入檔案：.csv 一列一個組合，.json 為 { columns, rows, rowCount } 並逐列寫入 rows
+ * 檔案無法開啟時直接拋出錯誤；drain() 等待寫入串流消化，避免結果堆積在記憶體
+ */
+const createResultsExporter = async (filePath, paramKeys) => {
+  const columns = [...paramKeys, ...RESULT_EXPORT_COLUMNS];
+  const extension = extname(filePath).toLowerCase();
+  if (![".csv", ".json"].includes(extension)) {
+    throw new Error(`Unsupported results export format: ${extension}`);
+  }
+  const isJson = extension === ".json";
+
+  const stream = createWriteStream(filePath);
+  let streamError = null;
+  stream.on("error", (err) => {
+    streamError = err;
+  });
+  await once(stream, "open");
+
+  let rowCount = 0;
+  let buffer = [
+    isJson
+      ? `{"columns":${JSON.stringify(columns)},"rows":[`
+      : `${columns.join(",")}\n`
+  ];
+  const flush = () => {
+    if (buffer.length === 0 || streamError) return;
+    stream.write(buffer.join(""));
+    buffer = [];
+  };
+  return {
+    addRow(row) {
+      buffer.push(
+        isJson
+          ? `${rowCount > 0 ? "," : ""}\n${JSON.stringify(row)}`
+          : `${row.join(",")}\n`
+      );
+      rowCount++;
+      if (buffer.length >= RESULT_EXPORT_BUFFER_SIZE) flush();
+    },
+    async drain() {
+      flush();
+      if (stream.writableNeedDrain && !streamError) await once(stream, "drain");
+      if (streamError) throw streamError;
+    },
+    close() {
+      if (isJson) buffer.push(`\n],"rowCount":${rowCount}}\n`);
+      flush();
+      return new Promise((resolve, reject) => {
+        if (streamError) {
+          reject(streamError);
+          return;
+        }
+        stream.once("error", reject);
+        stream.end(resolve);
+      });
+    }
+  };
+};
+
+// ==================== End of Leaderboard & Results Export ====================
+
+/**
+ * 在同一執行緒內回測一批參數組合（陣列或 iterateSettings 產生器，null 只計入進度），
+ * 回傳依目標分數排序的排行榜（同分時先測的在前）與實際回測的組合數
+ */
+const evaluateSettings = (
+  { klineColumns, cachedIndicatorData, symbolFilters, leverageBrackets },
+  settings,
+  { klineRange, maxDrawdownThreshold },
+  { onProgress, onRow = null }
+) => {
+  const shouldLogResults = isDetailedScoringRequired();
+  const leaderboard = [];
+  let evaluations = 0;
+  for (const setting of settings) {
+    if (!setting) {
+      onProgress(1);
+      continue;
+    }
+    evaluations++;
+    const result = getBacktestResult({
+      shouldLogResults,
+      shouldRecordEquityCurve: false,
+      klineColumns,
+      cachedIndicatorData,
+      symbolFilters,
+      leverageBrackets,
+      maxDrawdownThreshold,
+      klineRange,
+      ...setting
+    });
+
+    if (result) {
+      result.score = scoreBacktestResult(result, klineColumns, klineRange);
+      result.tradeRecords = [];
+      addToLeaderboard(leaderboard, result);
+    }
+    if (onRow) onRow(createResultRow(setting, result));
+    onProgress(1);
+  }
+  return { leaderboard, evaluations };
+};
+
+// ==================== Parallel Grid Search ====================
+
+const KLINE_COLUMNS = [
+  "openPrice",
+  "highPrice",
+  "lowPrice",
+  "closePrice",
+  "volume",
+  "openTime",
+  "closeTime",
+  "fundingRate"
+];
+const WORKER_PROGRESS_INTERVAL = 500;
+
+/**
+ * 將K線轉成以SharedArrayBuffer為底的欄位陣列，傳給worker時不複製
+ */
+const createSharedKlineColumns = (klineData) => {
+  const columns = {};
+  for (const column of KLINE_COLUMNS) {
+    const series = createSharedSeries(klineData.length);
+    for (let i = 0; i < klineData.length; i++) {
+      series[i] = klineData[i][column];
+    }
+    columns[column] = series;
+  }
+  return columns;
+};
+
+const klineColumnsCache = new WeakMap();
+
+/**
+ * 回測引擎讀取的K線欄位陣列，每組K線只轉換一次，worker直接共用同一份
+ */
+const getKlineColumns = (klineData) => {
+  let klineColumns = klineColumnsCache.get(klineData);
+  if (!klineColumns) {
+    klineColumns = createSharedKlineColumns(klineData);
+    klineColumnsCache.set(klineData, klineColumns);
+  }
+  return klineColumns;
+};
+
+class BacktestWorkerPool {
+  constructor(workerCount, sharedData) {
+    this.workers = Array.from(
+      { length: workerCount },
+      () => new Worker(new URL(import.meta.url), { workerData: sharedData })
+    );
+  }
+
+  /**
+   * 派送一個任務給worker，worker出錯或意外結束時拒絕，避免Promise永遠不結束
+   */
+  runTask(worker, task, { onProgress, onRow }) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        worker.off("message", handleMessage);
+        worker.off("error", handleError);
+        worker.off("exit", handleExit);
+      };
+      const handleMessage = (message) => {
+        if (message.type === "PROGRESS") {
+          if (onRow) message.rows.forEach(onRow);
+          onProgress(message.count);
+        } else if (message.type === "RESULT") {
+          cleanup();
+          resolve(message);
+        }
+      };
+      const handleError = (err) => {
+        cleanup();
+        reject(err);
+      };
+      const handleExit = (code) => {
+        cleanup();
+        reject(new Error(`Backtest worker exited with code ${code}`));
+      };
+      worker.on("message", handleMessage);
+      worker.on("error", handleError);
+      worker.on("exit", handleExit);
+      worker.postMessage(task);
+    });
+  }
+
+  /**
+   * 將參數組合陣列或位置區間切成連續區塊分給各worker，依區塊順序合併結果
+   */
+  async evaluate(source, options, callbacks) {
+    const isPositionRange = !Array.isArray(source);
+    const length = isPositionRange ? source.end - source.start : source.length;
+    const chunkSize = Math.ceil(length / this.workers.length);
+    const tasks = [];
+    for (let i = 0; i < this.workers.length; i++) {
+      const start = i * chunkSize;
+      const end = Math.min(start + chunkSize, length);
+      if (start >= end) break;
+      const task = isPositionRange
+        ? {
+            type: "EVALUATE",
+            positionRange: {
+              ...source,
+              start: source.start + start,
+              end: source.start + end
+            },
+            options
+          }
+        : { type: "EVALUATE", settings: source.slice(start, end), options };
+      tasks.push(this.runTask(this.workers[i], task, callbacks));
+    }
+    const results = await Promise.all(tasks);
+    return {
+      leaderboard: mergeLeaderboards(
+        results.map(({ leaderboard }) => leaderboard)
+      ),
+      evaluations: results.reduce(
+        (sum, { evaluations }) => sum + evaluations,
+        0
+      )
+    };
+  }
+
+  async terminate() {
+    await Promise.all(this.workers.map((worker) => worker.terminate()));
+  }
+}
+
+let workerPool = null;
+
+const getWorkerPool = async () => {
+  if (!workerPool) {
+    const [
+      cachedKlineData,
+      cachedIndicatorData,
+      symbolFilters,
+      leverageBrackets
+    ] = await Promise.all([
+      getKlineCache(),
+      getIndicatorCache(),
+      getSymbolFilters(),
+      getLeverageBrackets()
+    ]);
+    workerPool = new BacktestWorkerPool(CONFIG.WORKER_COUNT, {
+      config: CONFIG,
+      klineColumns: getKlineColumns(cachedKlineData),
+      indicatorEntries: Array.from(cachedIndicatorData.entries()),
+      symbolFilters,
+      leverageBrackets
+    });
+  }
+  return workerPool;
+};
+
+const terminateWorkerPool = async () => {
+  if (!workerPool) return;
+  await workerPool.terminate();
+  workerPool = null;
+};
+
+/**
+ * worker入口：還原共享資料後等待主執行緒分派參數組合
+ */
+const startBacktestWorker = () => {
+  Object.assign(CONFIG, workerData.config);
+  const context = {
+    klineColumns: workerData.klineColumns,
+    cachedIndicatorData: new Map(workerData.indicatorEntries),
+    symbolFilters: workerData.symbolFilters,
+    leverageBrackets: workerData.leverageBrackets
+  };
+
+  let enumerator = null;
+  parentPort.on("message", ({ settings, positionRange, options }) => {
+    let pendingProgress = 0;
+    let pendingRows = [];
+    const flushProgress = () => {
+      parentPort.postMessage({
+        type: "PROGRESS",
+        count: pendingProgress,
+        rows: pendingRows
+      });
+      pendingProgress = 0;
+      pendingRows = [];
+    };
+    if (positionRange && !enumerator) enumerator = createSettingEnumerator();
+    const { leaderboard, evaluations } = evaluateSettings(
+      context,
+      settings ?? iterateSettings(enumerator, positionRange),
+      options,
+      {
+        onProgress: (count) => {
+          pendingProgress += count;
+          if (pendingProgress >= WORKER_PROGRESS_INTERVAL) flushProgress();
+        },
+        onRow: options.isExportingRows ? (row) => pendingRows.push(row) : null
+      }
+    );
+    if (pendingProgress > 0) flushProgress();
+    parentPort.postMessage({ type: "RESULT", leaderboard, evaluations });
+  });
+};
+
+/**
+ * 回測參數組合陣列或列舉器的位置區間，WORKER_COUNT大於1時分給worker平行處理
+ */
+const evaluateSettingsBatch = async (source, options, callbacks) => {
+  if (CONFIG.WORKER_COUNT > 1) {
+    const pool = await getWorkerPool();
+    return await pool.evaluate(source, options, callbacks);
+  }
+  const [
+    cachedKlineData,
+    cachedIndicatorData,
+    symbolFilters,
+    leverageBrackets
+  ] = await Promise.all([
+    getKlineCache(),
+    getIndicatorCache(),
+    getSymbolFilters(),
+    getLeverageBrackets()
+  ]);
+  return evaluateSettings(
+    {
+      klineColumns: getKlineColumns(cachedKlineData),
+      cachedIndicatorData,
+      symbolFilters,
+      leverageBrackets
+    },
+    Array.isArray(source)
+      ? source
+      : iterateSettings(createSettingEnumerator(), source),
+    options,
+    callbacks
+  );
+};
+
+// ==================== End of Parallel Grid Search ====================
+
+/**
+ * 回測所有參數組合，回傳最佳結果與前N名排行榜，可選擇匯出每個組合的摘要
+ */
+const runGridSearch = async ({ klineRange = null, exportPath = null } = {}) => {
+  const positionRange = getGridPositionRange(createSettingEnumerator());
+  const progressBar = new SingleBar({}, Presets.shades_classic);
+  progressBar.start(positionRange.end - positionRange.start, 0);
+
+  const resultsExporter = exportPath
+    ? await createResultsExporter(exportPath, getSettingKeys())
+    : null;
+  const options = {
+    klineRange,
+    maxDrawdownThreshold: CONFIG.MAX_DRAWDOWN_THRESHOLD,
+    isExportingRows: Boolean(resultsExporter)
+  };
+  const callbacks = {
+    onProgress: (count) => progressBar.increment(count),
+    onRow: resultsExporter ? (row) => resultsExporter.addRow(row) : null
+  };
+
+  // 匯出時分段回測，每段結束等待檔案寫入跟上
+  const chunkSize = resultsExporter
+    ? RESULT_EXPORT_CHUNK_SIZE
+    : positionRange.end - positionRange.start;
+  const leaderboards = [];
+  let evaluations = 0;
+  for (
+    let start = positionRange.start;
+    start < positionRange.end;
+    start += chunkSize
+  ) {
+    const batch = await evaluateSettingsBatch(
+      {
+        ...positionRange,
+        start,
+        end: Math.min(start + chunkSize, positionRange.end)
+      },
+      options,
+      callbacks
+    );
+    leaderboards.push(batch.leaderboard);
+    evaluations += batch.evaluations;
+    if (resultsExporter) await resultsExporter.drain();
+  }
+  const leaderboard = mergeLeaderboards(leaderboards);
+
+  progressBar.stop();
+  if (resultsExporter) await resultsExporter.close();
+
+  return {
+    bestResult: leaderboard[0] || EMPTY_BEST_RESULT,
+    leaderboard,
+    evaluations
+  };
+};
+
+// ==================== Search Optimizers ====================
+
+const SEARCH_SAMPLE_ATTEMPTS = 100;
+const GA_TOURNAMENT_SIZE = 3;
+const GA_ELITE_COUNT = 2;
+const TPE_GAMMA = 0.25;
+const TPE_MIN_STARTUP = 10;
+const TPE_CANDIDATE_COUNT = 24;
+const HALVING_ETA = 3;
+const HALVING_RUNGS = 3;
+
+// 分數可能為-Infinity，相減得NaN時視為同分
+const compareByScore = (a, b) => b.score - a.score || 0;
+
+/**
+ * 建立搜尋評估器：參數組合以各參數候選值的索引陣列（基因）表示，
+ * 完整區間的結果會快取並加入排行榜，每次實際回測都計入評估預算
+ */
+const createSearchEvaluator = async ({ klineRange, exportPath }) => {
+  const strategy = getStrategy();
+  const engineParameters = getEngineParameters();
+  const space = getParameterSpace();
+  const settingKeys = getSettingKeys();
+  const budget = Math.min(
+    CONFIG.SEARCH_BUDGET,
+    createSettingEnumerator(space).total
+  );
+  const fullRange = klineRange || {
+    start: 0,
+    end: (await getKlineCache()).length
+  };
+  const random = createSeededRandom(CONFIG.SEARCH_SEED);
+  const resultsExporter = exportPath
+    ? await createResultsExporter(exportPath, settingKeys)
+    : null;
+  const progressBar = new SingleBar({}, Presets.shades_classic);
+  progressBar.start(budget, 0);
+
+  const scoreCache = new Map();
+  const leaderboard = [];
+  const convergence = [];
+  let evaluations = 0;
+
+  const getGenomeKey = (genome) => genome.join(",");
+  const toSetting = (genome) => {
+    const values = {};
+    space.forEach(({ key, range }, index) => {
+      values[key] = range[genome[index]];
+    });
+    return createSetting(values, strategy, engineParameters);
+  };
+
+  const evaluator = {
+    space,
+    budget,
+    random,
+    leaderboard,
+    convergence,
+    getRemaining: () => budget - evaluations,
+    getEvaluations: () => evaluations,
+    isEvaluated: (genome) => scoreCache.has(getGenomeKey(genome)),
+    isValid: (genome) => toSetting(genome) !== null,
+
+    /**
+     * 取得只含前 fraction 比例K線的區間，供逐次減半的低資源回合使用
+     */
+    getPartialRange(fraction) {
+      const length = fullRange.end - fullRange.start;
+      return {
+        start: fullRange.start,
+        end: fullRange.start + Math.max(1, Math.ceil(length * fraction))
+      };
+    },
+
+    /**
+     * 隨機抽取不重複的合法基因，excludeEvaluated 時略過已評估過的組合
+     */
+    sampleGenomes(count, excludeEvaluated = true) {
+      const genomes = [];
+      const keys = new Set();
+      let attempts = 0;
+      while (
+        genomes.length < count &&
+        attempts < count * SEARCH_SAMPLE_ATTEMPTS
+      ) {
+        attempts++;
+        const genome = space.map(({ range }) =>
+          Math.floor(random() * range.length)
+        );
+        const key = getGenomeKey(genome);
+        if (keys.has(key) || !evaluator.isValid(genome)) continue;
+        if (excludeEvaluated && scoreCache.has(key)) continue;
+        keys.add(key);
+        genomes.push(genome);
+      }
+      return genomes;
+    },
+
+    /**
+     * 回測一批基因並回傳對應分數；超出剩餘預算的部分不回測，分數為-Infinity
+     */
+    async evaluate(genomes, range = fullRange) {
+      const isFullRange = range === fullRange;
+      const scores = new Array(genomes.length).fill(-Infinity);
+      const pending = new Map();
+      genomes.forEach((genome, index) => {
+        const key = getGenomeKey(genome);
+        if (isFullRange && scoreCache.has(key)) {
+          scores[index] = scoreCache.get(key);
+          return;
+        }
+        if (!pending.has(key)) {
+          if (pending.size >= budget - evaluations) return;
+          const setting = toSetting(genome);
+          if (!setting) return;
+          pending.set(key, { setting, indexes: [] });
+        }
+        pending.get(key).indexes.push(index);
+      });
+      if (pending.size === 0) return scores;
+
+      const settingIndexes = new Map();
+      for (const { setting, indexes } of pending.values()) {
+        settingIndexes.set(Object.values(setting).join(","), indexes);
+      }
+      const { leaderboard: batchLeaderboard } = await evaluateSettingsBatch(
+        Array.from(pending.values(), ({ setting }) => setting),
+        {
+          klineRange: range,
+          maxDrawdownThreshold: CONFIG.MAX_DRAWDOWN_THRESHOLD,
+          isExportingRows: true
+        },
+        {
+          onProgress: (count) => progressBar.increment(count),
+          onRow: (row) => {
+            const score = row[settingKeys.length + 1] ?? -Infinity;
+            const key = row.slice(0, settingKeys.length).join(",");
+            for (const index of settingIndexes.get(key)) {
+              scores[index] = score;
+              if (isFullRange)
+                scoreCache.set(getGenomeKey(genomes[index]), score);
+            }
+            if (isFullRange && resultsExporter) resultsExporter.addRow(row);
+          }
+        }
+      );
+      evaluations += pending.size;
+      if (isFullRange && resultsExporter) await resultsExporter.drain();
+      if (isFullRange) {
+        for (const result of batchLeaderboard) {
+          addToLeaderboard(leaderboard, result);
+        }
+      }
+      return scores;
+    },
+
+    /**
+     * 記錄目前評估次數與完整區間的最佳分數
+     */
+    logProgress(step) {
+      convergence.push({
+        step,
+        evaluations,
+        bestScore: leaderboard.length > 0 ? leaderboard[0].score : null
+      });
+    },
+
+    async close() {
+      progressBar.stop();
+      if (resultsExporter) await resultsExporter.close();
+    }
+  };
+  return evaluator;
+};
+
+/**
+ * 基因演算法：錦標賽選擇、均勻交配與突變，每代保留最佳的菁英，
+ * 整代都已評估過時補入隨機新個體，參數空間耗盡時提前結束
+ */
+const runGeneticSearch = async (evaluator) => {
+  const { random, space } = evaluator;
+  const populationSize = Math.min(
+    CONFIG.SEARCH_POPULATION_SIZE,
+    evaluator.budget
+  );
+  const eliteCount = Math.min(GA_ELITE_COUNT, populationSize - 1);
+  const mutationRate = 1 / space.length;
+
+  const selectParent = (ranked) => {
+    let bestIndex = ranked.length;
+    for (let i = 0; i < GA_TOURNAMENT_SIZE; i++) {
+      bestIndex = Math.min(bestIndex, Math.floor(random() * ranked.length));
+    }
+    return ranked[bestIndex].genome;
+  };
+  const createChild = (ranked) => {
+    const parentA = selectParent(ranked);
+    const parentB = selectParent(ranked);
+    return space.map(({ range }, index) => {
+      let gene = random() < 0.5 ? parentA[index] : parentB[index];
+      if (random() < mutationRate) {
+        gene =
+          random() < 0.5
+            ? Math.min(
+                range.length - 1,
+                Math.max(0, gene + (random() < 0.5 ? -1 : 1))
+              )
+            : Math.floor(random() * range.length);
+      }
+      return gene;
+    });
+  };
+
+  let population = evaluator.sampleGenomes(populationSize);
+  let scores = await evaluator.evaluate(population);
+  let generation = 1;
+  evaluator.logProgress(`Generation ${generation}`);
+
+  while (evaluator.getRemaining() > 0 && population.length > 0) {
+    const ranked = population
+      .map((genome, index) => ({ genome, score: scores[index] }))
+      .sort(compareByScore);
+    const nextPopulation = ranked
+      .slice(0, eliteCount)
+      .map(({ genome }) => genome);
+    const keys = new Set(nextPopulation.map((genome) => genome.join(",")));
+    let attempts = 0;
+    while (
+      nextPopulation.length < populationSize &&
+      attempts < populationSize * SEARCH_SAMPLE_ATTEMPTS
+    ) {
+      attempts++;
+      const child = createChild(ranked);
+      const key = child.join(",");
+      if (keys.has(key) || !evaluator.isValid(child)) continue;
+      keys.add(key);
+      nextPopulation.push(child);
+    }
+    if (nextPopulation.every((genome) => evaluator.isEvaluated(genome))) {
+      const immigrants = evaluator.sampleGenomes(populationSize - eliteCount);
+      if (immigrants.length === 0) break;
+      nextPopulation.splice(eliteCount, immigrants.length, ...immigrants);
+    }
+
+    population = nextPopulation;
+    scores = await evaluator.evaluate(population);
+    generation++;
+    evaluator.logProgress(`Generation ${generation}`);
+  }
+};
+
+/**
+ * Tree-structured Parzen Estimator：依分數把觀測分為前 TPE_GAMMA 的好組與其餘，
+ * 各參數以索引上的高斯核估計兩組密度，從好組密度抽樣並挑 l(x)/g(x) 最大的候選
+ */
+const runTpeSearch = async (evaluator) => {
+  const { random, space } = evaluator;
+  const observations = [];
+  const addObservations = (genomes, scores) => {
+    genomes.forEach((genome, index) =>
+      observations.push({ genome, score: scores[index] })
+    );
+  };
+
+  // 每個觀測在離散索引上的常態核（已正規化），再與均勻先驗平均
+  const estimateDensities = (group) =>
+    space.map(({ range }, dimension) => {
+      const bandwidth = Math.max(1, range.length / 10);
+      const density = new Array(range.length).fill(1 / range.length);
+      for (const { genome } of group) {
+        const weights = range.map((_, value) =>
+          Math.exp(-0.5 * ((value - genome[dimension]) / bandwidth) ** 2)
+        );
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        weights.forEach((weight, value) => {
+          density[value] += weight / total;
+        });
+      }
+      return density.map((value) => value / (group.length + 1));
+    });
+  const sampleIndex = (density) => {
+    let threshold = random();
+    for (let value = 0; value < density.length; value++) {
+      threshold -= density[value];
+      if (threshold <= 0) return value;
+    }
+    return density.length - 1;
+  };
+
+  const startupCount = Math.min(
+    evaluator.budget,
+    Math.max(TPE_MIN_STARTUP, Math.ceil(evaluator.budget / 10))
+  );
+  const startupGenomes = evaluator.sampleGenomes(startupCount);
+  addObservations(startupGenomes, await evaluator.evaluate(startupGenomes));
+  evaluator.logProgress("Startup");
+
+  const batchSize = Math.max(1, CONFIG.WORKER_COUNT);
+  let iteration = 0;
+  while (evaluator.getRemaining() > 0) {
+    iteration++;
+    const ranked = [...observations].sort(compareByScore);
+    const goodCount = Math.max(1, Math.ceil(ranked.length * TPE_GAMMA));
+    const goodDensities = estimateDensities(ranked.slice(0, goodCount));
+    const badDensities = estimateDensities(ranked.slice(goodCount));
+
+    const proposals = [];
+    const proposalKeys = new Set();
+    for (let i = 0; i < batchSize; i++) {
+      let bestCandidate = null;
+      let bestRatio = -Infinity;
+      for (let j = 0; j < TPE_CANDIDATE_COUNT; j++) {
+        const candidate = goodDensities.map(sampleIndex);
+        const key = candidate.join(",");
+        if (
+          proposalKeys.has(key) ||
+          evaluator.isEvaluated(candidate) ||
+          !evaluator.isValid(candidate)
+        ) {
+          continue;
+        }
+        let ratio = 0;
+        candidate.forEach((value, dimension) => {
+          ratio +=
+            Math.log(goodDensities[dimension][value]) -
+            Math.log(badDensities[dimension][value]);
+        });
+        if (ratio > bestRatio) {
+          bestRatio = ratio;
+          bestCandidate = candidate;
+        }
+      }
+      // 好組附近都評估過時改為隨機探索
+      const proposal = bestCandidate ?? evaluator.sampleGenomes(1)[0];
+      if (!proposal) break;
+      proposalKeys.add(proposal.join(","));
+      proposals.push(proposal);
+    }
+    if (proposals.length === 0) break;
+
+    const previousBest = evaluator.leaderboard[0]?.score;
+    addObservations(proposals, await evaluator.evaluate(proposals));
+    if (
+      evaluator.leaderboard[0]?.score !== previousBest ||
+      evaluator.getRemaining() === 0
+    ) {
+      evaluator.logProgress(`Iteration ${iteration}`);
+    }
+  }
+};
+
+/**
+ * 逐次減半：隨機抽樣的候選先以前段K線回測，每回合保留前 1/HALVING_ETA
+ * 並把K線增加 HALVING_ETA 倍，最後一回合使用完整區間
+ */
+const runSuccessiveHalving = async (evaluator) => {
+  let runsPerCandidate = 0;
+  for (let rung = 0; rung < HALVING_RUNGS; rung++) {
+    runsPerCandidate += HALVING_ETA ** -rung;
+  }
+  let candidates = evaluator.sampleGenomes(
+    Math.max(1, Math.floor(evaluator.budget / runsPerCandidate))
+  );
+
+  for (let rung = 0; rung < HALVING_RUNGS && candidates.length > 0; rung++) {
+    const isLastRung = rung === HALVING_RUNGS - 1;
+    const fraction = HALVING_ETA ** (rung - HALVING_RUNGS + 1);
+    const scores = await evaluator.evaluate(
+      candidates,
+      isLastRung ? undefined : evaluator.getPartialRange(fraction)
+    );
+    evaluator.logProgress(
+      `Rung ${rung + 1} (${candidates.length} x ${toPercentage(
+        fraction
+      )} klines)`
+    );
+    if (isLastRung) break;
+    candidates = candidates
+      .map((genome, index) => ({ genome, score: scores[index] }))
+      .sort(compareByScore)
+      .slice(0, Math.ceil(candidates.length / HALVING_ETA))
+      .map(({ genome }) => genome);
+  }
+};
+
+const SEARCH_METHODS = {
+  GENETIC: runGeneticSearch,
+  TPE: runTpeSearch,
+  SUCCESSIVE_HALVING: runSuccessiveHalving
+};
+
+/**
+ * 以 SEARCH_METHOD 在評估預算內搜尋參數，回傳格式與 runGridSearch 相同並附上收斂紀錄
+ */
+const runSearchOptimizer = async ({ klineRange = null, exportPath = null }) => {
+  const evaluator = await createSearchEvaluator({ klineRange, exportPath });
+  try {
+    await SEARCH_METHODS[CONFIG.SEARCH_METHOD](evaluator);
+  } finally {
+    await evaluator.close();
+  }
+  const { leaderboard } = evaluator;
+  return {
+    bestResult: leaderboard[0] || EMPTY_BEST_RESULT,
+    leaderboard,
+    evaluations: evaluator.getEvaluations(),
+    search: {
+      method: CONFIG.SEARCH_METHOD,
+      seed: CONFIG.SEARCH_SEED,
+      budget: evaluator.budget,
+      evaluations: evaluator.getEvaluations(),
+      convergence: evaluator.convergence
+    }
+  };
+};
+
+/**
+ * 依 SEARCH_METHOD 執行網格搜尋或預算內的智慧搜尋
+ */
+const runOptimization = async ({
+  klineRange = null,
+  exportPath = null
+} = {}) =>
+  CONFIG.SEARCH_METHOD === "GRID"
+    ? await runGridSearch({ klineRange, exportPath })
+    : await runSearchOptimizer({ klineRange, exportPath });
+
+/**
+ * 在相同資料上跑完整網格搜尋，比較智慧搜尋找到的最佳分數與所需評估次數
+ */
+const compareWithGridSearch = async (searchResult, searchRunTime) => {
+  console.log("\nRunning grid search for comparison");
+  const startTime = Date.now();
+  const { bestResult, evaluations } = await runGridSearch();
+  return {
+    gridEvaluations: evaluations,
+    gridBestScore: bestResult.score,
+    gridBestParameters:
+      bestResult.score > -Infinity ? getStrategyParams(bestResult) : null,
+    gridRunTime: (Date.now() - startTime) / 1000,
+    searchEvaluations: searchResult.evaluations,
+    searchBestScore: searchResult.bestResult.score,
+    searchRunTime
+  };
+};
+
+// ==================== End of Search Optimizers ====================
+
+const getBestResult = async ({ klineRange = null } = {}) => {
+  const { bestResult } = await runOptimization({ klineRange });
+  return bestResult;
+};
+
+// ==================== Walk-Forward Optimization ====================
+
+/**
+ * 切分訓練/測試視窗，錨定模式的訓練區間固定從第一根K線開始
+ */
+const getWalkForwardWindows = (dataLength) => {
+  const trainBars = CONFIG.WALK_FORWARD_TRAIN_BARS;
+  const testBars = CONFIG.WALK_FORWARD_TEST_BARS;
+  const windows = [];
+  for (
+    let testStart = trainBars;
+    testStart < dataLength;
+    testStart += testBars
+  ) {
+    windows.push({
+      train: {
+        start: CONFIG.IS_WALK_FORWARD_ANCHORED ? 0 : testStart - trainBars,
+        end: testStart
+      },
+      test: {
+        start: testStart,
+        end: Math.min(testStart + testBars, dataLength)
+      }
+    });
+  }
+  return windows;
+};
+
+/**
+ * 在每個訓練視窗優化參數，套用到下一個測試視窗，並串接樣本外權益曲線
+ */
+const getWalkForwardResult = async () => {
+  const [
+    cachedKlineData,
+    cachedIndicatorData,
+    symbolFilters,
+    leverageBrackets
+  ] = await Promise.all([
+    getKlineCache(),
+    getIndicatorCache(),
+    getSymbolFilters(),
+    getLeverageBrackets()
+  ]);
+
+  const windows = getWalkForwardWindows(cachedKlineData.length);
+  if (windows.length === 0) {
+    throw new Error(
+      `Walk-forward needs more than ${CONFIG.WALK_FORWARD_TRAIN_BARS} klines, got ${cachedKlineData.length}`
+    );
+  }
+
+  const windowResults = [];
+  const equityCurve = [];
+  const tradeRecords = [];
+  let carriedFund = CONFIG.INITIAL_FUNDING;
+
+  for (const [index, window] of windows.entries()) {
+    console.log(`\nWalk-forward window ${index + 1}/${windows.length}`);
+    const trainResult = await getBestResult({ klineRange: window.train });
+    const isTrainValid = trainResult.fund > 0;
+    const testResult = isTrainValid
+      ? getBacktestResult({
+          shouldLogResults: true,
+          cachedKlineData,
+          cachedIndicatorData,
+          symbolFilters,
+          leverageBrackets,
+          klineRange: window.test,
+          ...getStrategyParams(trainResult)
+        })
+      : null;
+
+    // 訓練視窗沒有有效參數則空手
+    const testReturn = testResult ? testResult.totalReturn : 0;
+    const fundScale = carriedFund / CONFIG.INITIAL_FUNDING;
+
+    if (testResult) {
+      for (const point of testResult.equityCurve) {
+        equityCurve.push({
+          timestamp: point.timestamp,
+          fund: point.fund * fundScale
+        });
+      }
+      for (const trade of testResult.tradeRecords) {
+        tradeRecords.push({
+          ...trade,
+          quantity: trade.quantity * fundScale,
+          pnl: trade.pnl * fundScale,
+          fundingFee: trade.fundingFee * fundScale,
+          finalFund: trade.finalFund * fundScale,
+          fills: trade.fills.map((fill) => ({
+            ...fill,
+            quantity: fill.quantity * fundScale,
+            fee: fill.fee * fundScale,
+            fundingFee: fill.fundingFee * fundScale
+          }))
+        });
+      }
+    }
+
+    carriedFund *= 1 + testReturn;
+    if (!testResult) {
+      equityCurve.push({
+        timestamp: cachedKlineData[window.test.end - 1].closeTime,
+        fund: carriedFund
+      });
+    }
+
+    windowResults.push({
+      ...window,
+      trainStartTime: cachedKlineData[window.train.start].openTime,
+      trainEndTime: cachedKlineData[window.train.end - 1].closeTime,
+      testStartTime: cachedKlineData[window.test.start].openTime,
+      testEndTime: cachedKlineData[window.test.end - 1].closeTime,
+      params: isTrainValid ? getStrategyParams(trainResult) : null,
+      trainReturn: isTrainValid ? trainResult.totalReturn : null,
+      testReturn,
+      testMaxDrawdown: testResult ? testResult.maxDrawdown : null,
+      testTrades: testResult ? testResult.totalTrades : 0,
+      isLiquidated: testResult ? testResult.liquidatedTrades > 0 : false
+    });
+  }
+
+  const outOfSampleRange = {
+    start: windows[0].test.start,
+    end: windows[windows.length - 1].test.end
+  };
+  const totalReturn =
+    (carriedFund - CONFIG.INITIAL_FUNDING) / CONFIG.INITIAL_FUNDING;
+  const maxDrawdown = calculateEquityCurveMaxDrawdown(equityCurve);
+  const metrics = calculateAllBacktestMetrics(
+    { totalReturn, maxDrawdown },
+    { tradeRecords },
+    getKlineColumns(cachedKlineData),
+    outOfSampleRange
+  );
+  const spotBuyAndHoldResult = getSpotBuyAndHoldResult(
+    cachedKlineData,
+    symbolFilters.stepSize,
+    outOfSampleRange
+  );
+
+  return {
+    windows: windowResults,
+    fund: carriedFund,
+    totalReturn,
+    maxDrawdown,
+    winRate:
+      tradeRecords.length > 0
+        ? tradeRecords.filter((t) => t.pnl > 0).length / tradeRecords.length
+        : 0,
+    totalFundingFee: tradeRecords.reduce(
+      (total, trade) => total + trade.fundingFee,
+      0
+    ),
+    equityCurve,
+    tradeRecords,
+    metrics,
+    monteCarlo: runMonteCarloAnalysis(tradeRecords),
+    spotBuyAndHoldResult,
+    outOfSampleRange
+  };
+};
+
+const formatWalkForwardReport = (walkForwardResult, totalRunTime) => {
+  const {
+    windows,
+    fund,
+    totalReturn,
+    maxDrawdown,
+    winRate,
+    totalFundingFee,
+    tradeRecords,
+    metrics,
+    monteCarlo,
+    spotBuyAndHoldResult
+  } = walkForwardResult;
+  const {
+    backtestStartTime,
+    backtestEndTime,
+    backtestDays,
+    annualizedReturn,
+    sharpeRatio
+  } = metrics;
+
+  let report = "\n" + "=".repeat(60) + "\n";
+  report += "Walk-Forward Results Summary (Out-of-Sample)\n";
+  report += "=".repeat(60) + "\n";
+
+  report += "\nOut-of-Sample Performance\n";
+  report += `  Final Fund:       ${fund.toFixed(2)}\n`;
+  report += `  Total Return:     ${formatSignedPercentage(totalReturn)}\n`;
+  if (backtestDays > 0) {
+    report += `  Annualized Return: ${formatSignedPercentage(
+      annualizedReturn
+    )}\n`;
+  }
+  if (spotBuyAndHoldResult) {
+    const returnDiff = totalReturn - spotBuyAndHoldResult.totalReturn;
+    const outperformance = returnDiff >= 0 ? "OUTPERFORMS" : "UNDERPERFORMS";
+    report += `  vs Spot Holder: ${outperformance} by ${Math.abs(
+      returnDiff * 100
+    ).toFixed(2)}%\n`;
+  }
+  report += `  Max Drawdown:     ${(maxDrawdown * 100).toFixed(2)}%\n`;
+  if (sharpeRatio !== 0) {
+    report += `  Sharpe Ratio:     ${sharpeRatio.toFixed(2)}\n`;
+  }
+  report += `  Total Trades:     ${tradeRecords.length}\n`;
+  report += `  Win Rate:         ${(winRate * 100).toFixed(2)}%\n`;
+  report += `  Funding Fees:     ${totalFundingFee.toFixed(2)}\n`;
+  report += `  Profitable Windows: ${
+    windows.filter((window) => window.testReturn > 0).length
+  }/${windows.length}\n`;
+
+  report += "\nWalk-Forward Setup\n";
+  report += `  Strategy:         ${CONFIG.STRATEGY}\n`;
+  report += `  Window Type:      ${
+    CONFIG.IS_WALK_FORWARD_ANCHORED ? "Anchored" : "Rolling"
+  }\n`;
+  report += `  Train Bars:       ${CONFIG.WALK_FORWARD_TRAIN_BARS}\n`;
+  report += `  Test Bars:        ${CONFIG.WALK_FORWARD_TEST_BARS}\n`;
+
+  report += "\nOut-of-Sample Period\n";
+  report += `  Duration:         ${backtestDays.toFixed(2)} days\n`;
+  report += `  ${getReadableTime(backtestStartTime)} ~ ${getReadableTime(
+    backtestEndTime
+  )}\n`;
+
+  report += "\n" + "=".repeat(60) + "\n";
+  report += "Execution Time\n";
+  report += `  Total Runtime:    ${formatRuntime(totalRunTime)}\n`;
+  report += "=".repeat(60) + "\n";
+
+  if (monteCarlo) report += formatMonteCarloSummary(monteCarlo);
+
+  report += "\n" + "=".repeat(60) + "\n";
+  report += "Window Results\n";
+  report += "=".repeat(60) + "\n\n";
+  report +=
+    "Window | Train Period | Test Period | Parameters | IS Return | OOS Return | OOS Max DD | OOS Trades\n";
+  report += "-".repeat(120) + "\n";
+  windows.forEach((window, index) => {
+    const params = window.params
+      ? formatStrategyParamsInline(window.params)
+      : "No valid parameters";
+    const trainReturn =
+      window.trainReturn === null
+        ? "-"
+        : formatSignedPercentage(window.trainReturn);
+    const testMaxDrawdown =
+      window.testMaxDrawdown === null
+        ? "-"
+        : `${(window.testMaxDrawdown * 100).toFixed(2)}%${
+            window.isLiquidated ? " LIQUIDATED" : ""
+          }`;
+    report += `${String(index + 1).padStart(6)} | ${getShortDate(
+      window.trainStartTime
+    )} ~ ${getShortDate(window.trainEndTime)} | ${getShortDate(
+      window.testStartTime
+    )} ~ ${getShortDate(window.testEndTime)} | ${params} | ${trainReturn} | ${formatSignedPercentage(
+      window.testReturn
+    )} | ${testMaxDrawdown} | ${window.testTrades}\n`;
+  });
+
+  if (tradeRecords.length > 0) {
+    report += "\n" + "=".repeat(60) + "\n";
+    report += "Out-of-Sample Trade Records\n";
+    report += "=".repeat(60) + "\n\n";
+    report +=
+      "Index | Side  | Entry Time | Exit Time | Entry Price | Exit Price | PnL | PnL % | Funding | Hold Hours | MAE | MFE | Exit\n";
+    report += "-".repeat(120) + "\n";
+    tradeRecords.forEach((trade, index) => {
+      report += formatTradeRecordLine(trade, index);
+    });
+  }
+
+  return report;
+};
+
+const createWalkForwardHtmlReport = async (walkForwardResult) => {
+  const [cachedKlineData, { stepSize }] = await Promise.all([
+    getKlineCache(),
+    getSymbolFilters()
+  ]);
+  const {
+    fund,
+    totalReturn,
+    maxDrawdown,
+    winRate,
+    equityCurve,
+    tradeRecords,
+    metrics,
+    monteCarlo,
+    spotBuyAndHoldResult,
+    outOfSampleRange
+  } = walkForwardResult;
+
+  return createHtmlReport({
+    title: `${CONFIG.SYMBOL} ${CONFIG.KLINE_INTERVAL} Walk-Forward Report (Out-of-Sample)`,
+    summaryRows: [
+      ["Final Fund", fund.toFixed(2)],
+      ["Total Return", formatSignedPercentage(totalReturn)],
+      ["Annualized Return", formatSignedPercentage(metrics.annualizedReturn)],
+      [
+        "Spot Buy & Hold Return",
+        spotBuyAndHoldResult
+          ? formatSignedPercentage(spotBuyAndHoldResult.totalReturn)
+          : "-"
+      ],
+      ["Max Drawdown", `${(maxDrawdown * 100).toFixed(2)}%`],
+      ["Sharpe Ratio", metrics.sharpeRatio.toFixed(2)],
+      ["Total Trades", String(tradeRecords.length)],
+      ["Win Rate", `${(winRate * 100).toFixed(2)}%`],
+      ["Windows", String(walkForwardResult.windows.length)]
+    ],
+    equityCurve,
+    benchmarkCurve: getSpotBuyAndHoldCurve(
+      cachedKlineData,
+      stepSize,
+      outOfSampleRange
+    ),
+    tradeRecords,
+    klineData: cachedKlineData.slice(
+      outOfSampleRange.start,
+      outOfSampleRange.end
+    ),
+    monteCarlo
+  });
+};
+
+// ==================== End of Walk-Forward Optimization ====================
+
+// ==================== Portfolio Backtest ====================
+
+const PORTFOLIO_COLORS = [
+  "#1565c0",
+  "#ef6c00",
+  "#2e7d32",
+  "#6a1b9a",
+  "#c62828",
+  "#00838f",
+  "#5d4037",
+  "#ad1457"
+];
+
+/**
+ * 切換 CONFIG.SYMBOL 並載入該交易對的K線、指標、數量精度與槓桿分級
+ */
+const loadSymbolContext = async (symbol, settings) => {
+  CONFIG.SYMBOL = symbol;
+  klineCache = [];
+  indicatorCache = new Map();
+  const [cachedKlineData, symbolFilters, leverageBrackets] = await Promise.all([
+    getKlineCache(),
+    getSymbolFilters(),
+    getLeverageBrackets()
+  ]);
+  return {
+    symbol,
+    cachedKlineData,
+    cachedIndicatorData: computeIndicatorData(cachedKlineData, settings),
+    symbolFilters,
+    leverageBrackets
+  };
+};
+
+/**
+ * 取得固定參數組合：有 PARAMETER_SET 時直接使用，否則先以 CONFIG.SYMBOL 優化並取排行榜前N名
+ */
+const getParameterSets = async (count) => {
+  if (CONFIG.PARAMETER_SET) return [{ ...CONFIG.PARAMETER_SET }];
+  console.log(`\nOptimizing ${CONFIG.SYMBOL} to pick the parameter set`);
+  const { leaderboard } = await runOptimization();
+  await terminateWorkerPool();
+  if (leaderboard.length === 0) {
+    throw new Error(`No valid parameter set found for ${CONFIG.SYMBOL}`);
+  }
+  return leaderboard.slice(0, count).map(getStrategyParams);
+};
+
+/**
+ * 收盤報酬率的滾動標準差，第i根包含第i根收盤，樣本不足時為NaN
+ */
+const computeReturnVolatility = (klineData, period) => {
+  const result = new Float64Array(klineData.length).fill(NaN);
+  const returns = new Float64Array(klineData.length);
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 1; i < klineData.length; i++) {
+    returns[i] = klineData[i].closePrice / klineData[i - 1].closePrice - 1;
+    sum += returns[i];
+    sumSquares += returns[i] * returns[i];
+    if (i > period) {
+      sum -= returns[i - period];
+      sumSquares -= returns[i - period] * returns[i - period];
+    }
+    if (i >= period) {
+      const mean = sum / period;
+      result[i] = Math.sqrt(Math.max(sumSquares / period - mean * mean, 0));
+    }
+  }
+  return result;
+};
+
+/**
+ * 投組中單一交易對的引擎：資金改為共享錢包，下單保證金依配置權重與同時持倉上限決定
+ */
+class PortfolioSymbolEngine extends BacktestEngine {
+  constructor(symbolContext, portfolio, params) {
+    const {
+      leverage,
+      stopLoss = null,
+      takeProfit = null,
+      ...strategyParams
+    } = params;
+    super(
+      getKlineColumns(symbolContext.cachedKlineData),
+      symbolContext.cachedIndicatorData,
+      symbolContext.symbolFilters,
+      {
+        params: strategyParams,
+        leverageBrackets: symbolContext.leverageBrackets,
+        leverage,
+        stopLoss,
+        takeProfit,
+        shouldLogResults: true,
+        shouldRecordEquityCurve: false
+      }
+    );
+    this.symbol = symbolContext.symbol;
+    this.portfolio = portfolio;
+    this.volatilityData = computeReturnVolatility(
+      symbolContext.cachedKlineData,
+      CONFIG.PORTFOLIO_VOLATILITY_BARS
+    );
+    this.cashFlow = 0;
+    this.skippedEntries = 0;
+    this.nextIndex = 0;
+    this.markIndex = -1;
+    this.markPrice = null;
+  }
+
+  // 基底建構子設定初始資金時尚未綁定投組；之後的資金變動都寫入共享錢包，並累計為此交易對的現金流
+  get fund() {
+    return this.portfolio ? this.portfolio.balance : 0;
+  }
+
+  set fund(value) {
+    if (!this.portfolio) return;
+    this.cashFlow += value - this.portfolio.balance;
+    this.portfolio.balance = value;
+  }
+
+  getSizingCapital() {
+    return this.portfolio.getEquity() * this.portfolio.getWeight(this);
+  }
+
+  // 共享餘額在其他交易對持倉時本來就可能為負，以投組權益判斷是否耗盡
+  isDepleted() {
+    return this.portfolio.getEquity() <= 0;
+  }
+
+  openPosition(kline, positionType, index) {
+    if (this.fund <= 0 || this.portfolio.isPositionLimitReached()) {
+      // 持續成立的進場訊號只在第一次被擋下時計入
+      if (!this.isEntrySignalActive) this.skippedEntries++;
+      return false;
+    }
+    const isOpened = super.openPosition(kline, positionType, index);
+    if (isOpened) this.markPrice = this.openPrice;
+    return isOpened;
+  }
+
+  /**
+   * 以標記價計算持倉價值：保證金 + 未實現損益 - 已累計資金費用
+   */
+  getPositionValue() {
+    if (this.positionType === "NONE") return 0;
+    return (
+      this.positionFund +
+      (this.markPrice - this.openPrice) * this.positionAmt * this.positionSide -
+      this.positionFundingFee
+    );
+  }
+
+  getVolatility() {
+    return this.markIndex >= 0 ? this.volatilityData[this.markIndex] : NaN;
+  }
+}
+
+/**
+ * 皮爾森相關係數，任一序列沒有變動時回傳null
+ */
+const calculateCorrelation = (valuesA, valuesB) => {
+  const length = valuesA.length;
+  if (length < 2) return null;
+  const meanA = valuesA.reduce((sum, value) => sum + value, 0) / length;
+  const meanB = valuesB.reduce((sum, value) => sum + value, 0) / length;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < length; i++) {
+    covariance += (valuesA[i] - meanA) * (valuesB[i] - meanB);
+    varianceA += (valuesA[i] - meanA) ** 2;
+    varianceB += (valuesB[i] - meanB) ** 2;
+  }
+  if (varianceA === 0 || varianceB === 0) return null;
+  return covariance / Math.sqrt(varianceA * varianceB);
+};
+
+/**
+ * 共享保證金的多交易對回測，依 openTime 對齊各交易對的K線逐根推進
+ */
+class PortfolioBacktest {
+  constructor(symbolContexts, params) {
+    this.params = params;
+    this.balance = CONFIG.INITIAL_FUNDING;
+    this.engines = symbolContexts.map(
+      (symbolContext) => new PortfolioSymbolEngine(symbolContext, this, params)
+    );
+    this.fixedWeights = this.getFixedWeights();
+    this.equityCurve = [];
+    this.symbolCurves = this.engines.map(() => []);
+  }
+
+  /**
+   * 固定權重依設定值正規化為總和1
+   */
+  getFixedWeights() {
+    if (CONFIG.PORTFOLIO_ALLOCATION !== "FIXED") return null;
+    const totalWeight = this.engines.reduce(
+      (sum, engine) => sum + CONFIG.PORTFOLIO_WEIGHTS[engine.symbol],
+      0
+    );
+    return Object.fromEntries(
+      this.engines.map((engine) => [
+        engine.symbol,
+        CONFIG.PORTFOLIO_WEIGHTS[engine.symbol] / totalWeight
+      ])
+    );
+  }
+
+  getEquity() {
+    return this.engines.reduce(
+      (equity, engine) => equity + engine.getPositionValue(),
+      this.balance
+    );
+  }
+
+  /**
+   * 波動平價依已有波動率資料的交易對之波動率倒數分配，資料不足時退回等權重
+   */
+  getWeight(engine) {
+    if (CONFIG.PORTFOLIO_ALLOCATION === "FIXED") {
+      return this.fixedWeights[engine.symbol];
+    }
+    if (CONFIG.PORTFOLIO_ALLOCATION === "VOLATILITY_PARITY") {
+      const volatility = engine.getVolatility();
+      const totalInverseVolatility = this.engines.reduce((sum, item) => {
+        const itemVolatility = item.getVolatility();
+        return itemVolatility > 0 ? sum + 1 / itemVolatility : sum;
+      }, 0);
+      if (volatility > 0) return 1 / volatility / totalInverseVolatility;
+    }
+    return 1 / this.engines.length;
+  }
+
+  isPositionLimitReached() {
+    if (CONFIG.MAX_CONCURRENT_POSITIONS === null) return false;
+    const openPositions = this.engines.filter(
+      (engine) => engine.positionType !== "NONE"
+    ).length;
+    return openPositions >= CONFIG.MAX_CONCURRENT_POSITIONS;
+  }
+
+  recordEquity(timestamp) {
+    this.equityCurve.push({ timestamp, fund: this.getEquity() });
+    this.engines.forEach((engine, index) => {
+      this.symbolCurves[index].push({
+        timestamp,
+        value: engine.cashFlow + engine.getPositionValue()
+      });
+    });
+  }
+
+  run() {
+    const timeline = [
+      ...new Set(
+        this.engines.flatMap((engine) => [...engine.klineColumns.openTime])
+      )
+    ].sort((a, b) => a - b);
+
+    let isStopped = false;
+    for (const openTime of timeline) {
+      const steppedEngines = [];
+      for (const engine of this.engines) {
+        if (engine.klineColumns.openTime[engine.nextIndex] !== openTime) {
+          continue;
+        }
+        if (
+          engine.nextIndex >= engine.startIndex &&
+          !engine.processBar(engine.nextIndex)
+        ) {
+          isStopped = true;
+        }
+        // 交易對資料結束（如下架）時以最後一根收盤平倉
+        if (engine.nextIndex === engine.dataLength - 1) {
+          engine.closePositionAtEnd();
+        }
+        steppedEngines.push(engine);
+      }
+
+      // 同一時間的K線全部處理完才更新標記價，避免先處理的收盤價影響其他交易對的下單金額
+      let closeTime = openTime;
+      for (const engine of steppedEngines) {
+        const { closePrice, closeTime: klineCloseTime } = engine.klineColumns;
+        engine.markIndex = engine.nextIndex;
+        engine.markPrice = closePrice[engine.nextIndex];
+        closeTime = Math.max(closeTime, klineCloseTime[engine.nextIndex]);
+        engine.nextIndex++;
+      }
+      this.recordEquity(closeTime);
+      if (isStopped) break;
+    }
+
+    // 投組權益耗盡時整個投組停止，其餘持倉以各自最後處理的K線收盤平倉
+    if (isStopped) {
+      for (const engine of this.engines) {
+        engine.closePositionAtEnd(engine.markIndex);
+      }
+      this.equityCurve[this.equityCurve.length - 1].fund = this.getEquity();
+    }
+
+    return this.getResult(timeline[0]);
+  }
+
+  /**
+   * 依每日最後一點計算投組日報酬，以及各交易對損益變動占前一日投組權益的比例
+   */
+  getDailyReturns() {
+    const lastIndexes = [];
+    this.equityCurve.forEach(({ timestamp }, index) => {
+      const day = Math.floor(timestamp / (24 * CONFIG.HOUR_MS));
+      const isSameDay =
+        index > 0 &&
+        Math.floor(
+          this.equityCurve[index - 1].timestamp / (24 * CONFIG.HOUR_MS)
+        ) === day;
+      if (isSameDay) lastIndexes[lastIndexes.length - 1] = index;
+      else lastIndexes.push(index);
+    });
+
+    const portfolioReturns = [];
+    const symbolReturns = this.engines.map(() => []);
+    for (let i = 1; i < lastIndexes.length; i++) {
+      const previousIndex = lastIndexes[i - 1];
+      const currentIndex = lastIndexes[i];
+      const previousEquity = this.equityCurve[previousIndex].fund;
+      portfolioReturns.push(
+        this.equityCurve[currentIndex].fund / previousEquity - 1
+      );
+      this.symbolCurves.forEach((curve, index) => {
+        symbolReturns[index].push(
+          (curve[currentIndex].value - curve[previousIndex].value) /
+            previousEquity
+        );
+      });
+    }
+    return { portfolioReturns, symbolReturns };
+  }
+
+  getResult(backtestStartTime) {
+    const fund = this.balance;
+    const totalReturn =
+      (fund - CONFIG.INITIAL_FUNDING) / CONFIG.INITIAL_FUNDING;
+    const backtestEndTime =
+      this.equityCurve[this.equityCurve.length - 1].timestamp;
+    const backtestDays =
+      (backtestEndTime - backtestStartTime) / (24 * CONFIG.HOUR_MS);
+    const { portfolioReturns, symbolReturns } = this.getDailyReturns();
+    const tradeRecords = this.engines
+      .flatMap((engine) =>
+        engine.tradeRecords.map((trade) => ({
+          symbol: engine.symbol,
+          ...trade
+        }))
+      )
+      .sort((a, b) => a.closeTimestamp - b.closeTimestamp);
+
+    return {
+      params: this.params,
+      fund,
+      totalReturn,
+      annualizedReturn: calculateAnnualizedReturn(totalReturn, backtestDays),
+      maxDrawdown: calculateEquityCurveMaxDrawdown(this.equityCurve),
+      sharpeRatio: calculateSharpeRatio(portfolioReturns, backtestDays),
+      winRate:
+        tradeRecords.length > 0
+          ? tradeRecords.filter((trade) => trade.pnl > 0).length /
+            tradeRecords.length
+          : 0,
+      backtestStartTime,
+      backtestEndTime,
+      backtestDays,
+      symbols: this.engines.map((engine, index) => {
+        const result = engine.getResult();
+        return {
+          symbol: engine.symbol,
+          pnl: engine.cashFlow,
+          contribution: engine.cashFlow / CONFIG.INITIAL_FUNDING,
+          totalTrades: result.totalTrades,
+          winRate: result.winRate,
+          liquidatedTrades: result.liquidatedTrades,
+          skippedEntries: engine.skippedEntries,
+          totalFundingFee: result.totalFundingFee,
+          equityCurve: this.symbolCurves[index]
+        };
+      }),
+      correlation: this.engines.map((_, indexA) =>
+        this.engines.map((_, indexB) =>
+          calculateCorrelation(symbolReturns[indexA], symbolReturns[indexB])
+        )
+      ),
+      equityCurve: this.equityCurve,
+      tradeRecords,
+      monteCarlo: runMonteCarloAnalysis(tradeRecords)
+    };
+  }
+}
+
+const getPortfolioResult = async () => {
+  const [params] = await getParameterSets(1);
+  // loadSymbolContext 會切換 CONFIG.SYMBOL，結束後還原以免報告顯示最後一個交易對
+  const baseSymbol = CONFIG.SYMBOL;
+  const symbolContexts = [];
+  try {
+    for (const symbol of CONFIG.PORTFOLIO_SYMBOLS) {
+      console.log(`Loading ${symbol}`);
+      const symbolContext = await loadSymbolContext(symbol, [params]);
+      if (symbolContext.cachedKlineData.length === 0) {
+        throw new Error(`No klines found for ${symbol}`);
+      }
+      symbolContexts.push(symbolContext);
+    }
+  } finally {
+    CONFIG.SYMBOL = baseSymbol;
+  }
+  return new PortfolioBacktest(symbolContexts, params).run();
+};
+
+/**
+ * 格式化相關係數矩陣
+ */
+const formatCorrelationMatrix = (symbols, correlation) => {
+  const width = Math.max(8, ...symbols.map((symbol) => symbol.length)) + 2;
+  let text = "".padEnd(width);
+  text += symbols.map((symbol) => symbol.padStart(width)).join("") + "\n";
+  symbols.forEach((symbol, indexA) => {
+    text += symbol.padEnd(width);
+    text += correlation[indexA]
+      .map((value) => (value === null ? "-" : value.toFixed(2)).padStart(width))
+      .join("");
+    text += "\n";
+  });
+  return text;
+};
+
+const formatPortfolioReport = (portfolioResult, totalRunTime) => {
+  const {
+    params,
+    fund,
+    totalReturn,
+    annualizedReturn,
+    maxDrawdown,
+    sharpeRatio,
+    winRate,
+    backtestStartTime,
+    backtestEndTime,
+    backtestDays,
+    symbols,
+    correlation,
+    tradeRecords,
+    monteCarlo
+  } = portfolioResult;
+
+  let report = "\n" + "=".repeat(60) + "\n";
+  report += "Portfolio Backtest Results Summary\n";
+  report += "=".repeat(60) + "\n";
+
+  report += "\nPortfolio Performance\n";
+  report += `  Final Fund:       ${fund.toFixed(2)}\n`;
+  report += `  Total Return:     ${formatSignedPercentage(totalReturn)}\n`;
+  if (backtestDays > 0) {
+    report += `  Annualized Return: ${formatSignedPercentage(
+      annualizedReturn
+    )}\n`;
+  }
+  report += `  Max Drawdown:     ${(maxDrawdown * 100).toFixed(2)}%\n`;
+  if (sharpeRatio !== 0) {
+    report += `  Sharpe Ratio:     ${sharpeRatio.toFixed(2)}\n`;
+  }
+  report += `  Total Trades:     ${tradeRecords.length}\n`;
+  report += `  Win Rate:         ${(winRate * 100).toFixed(2)}%\n`;
+
+  report += "\nPortfolio Setup\n";
+  report += `  Strategy:         ${CONFIG.STRATEGY}\n`;
+  report += `  Parameters:       ${formatStrategyParamsInline(params)}\n`;
+  report += `  Symbols:          ${symbols.map(({ symbol }) => symbol).join(", ")}\n`;
+  report += `  Allocation:       ${CONFIG.PORTFOLIO_ALLOCATION}\n`;
+  report += `  Max Positions:    ${
+    CONFIG.MAX_CONCURRENT_POSITIONS ?? "unlimited"
+  }\n`;
+  report += `  Trade Direction:  ${CONFIG.TRADE_DIRECTION}\n`;
+
+  report += "\nBacktest Period\n";
+  report += `  Duration:         ${backtestDays.toFixed(2)} days\n`;
+  report += `  ${getReadableTime(backtestStartTime)} ~ ${getReadableTime(
+    backtestEndTime
+  )}\n`;
+
+  report += "\n" + "=".repeat(60) + "\n";
+  report += "Execution Time\n";
+  report += `  Total Runtime:    ${formatRuntime(totalRunTime)}\n`;
+  report += "=".repeat(60) + "\n";
+
+  if (monteCarlo) report += formatMonteCarloSummary(monteCarlo);
+
+  report += "\n" + "=".repeat(60) + "\n";
+  report += "Per-Symbol Results\n";
+  report += "=".repeat(60) + "\n\n";
+  report +=
+    "Symbol | PnL | Contribution | Trades | Win Rate | Skipped Entries | Liquidations | Funding\n";
+  report += "-".repeat(120) + "\n";
+  for (const item of symbols) {
+    const pnlSign = item.pnl > 0 ? "+" : "";
+    report += `${item.symbol} | ${pnlSign}${item.pnl.toFixed(
+      2
+    )} | ${formatSignedPercentage(item.contribution)} | ${
+      item.totalTrades
+    } | ${(item.winRate * 100).toFixed(2)}% | ${item.skippedEntries} | ${
+      item.liquidatedTrades
+    } | ${item.totalFundingFee.toFixed(2)}\n`;
+  }
+
+  report += "\n" + "=".repeat(60) + "\n";
+  report += "Daily Return Correlation\n";
+  report += "=".repeat(60) + "\n\n";
+  report += formatCorrelationMatrix(
+    symbols.map(({ symbol }) => symbol),
+    correlation
+  );
+
+  if (tradeRecords.length > 0) {
+    report += "\n" + "=".repeat(60) + "\n";
+    report += "Detailed Trade Records\n";
+    report += "=".repeat(60) + "\n\n";
+    report +=
+      "Index | Symbol | Side  | Entry Time | Exit Time | Entry Price | Exit Price | PnL | PnL % | Funding | Hold Hours | MAE | MFE | Exit\n";
+    report += "-".repeat(120) + "\n";
+    tradeRecords.forEach((trade, index) => {
+      report += formatTradeRecordLine(trade, index);
+    });
+  }
+
+  return report;
+};
+
+const createPortfolioHtmlReport = (portfolioResult) => {
+  const {
+    fund,
+    totalReturn,
+    annualizedReturn,
+    maxDrawdown,
+    sharpeRatio,
+    winRate,
+    symbols,
+    correlation,
+    equityCurve,
+    tradeRecords,
+    monteCarlo
+  } = portfolioResult;
+  const title = `${CONFIG.PORTFOLIO_SYMBOLS.join(", ")} ${
+    CONFIG.KLINE_INTERVAL
+  } Portfolio Report`;
+  const summaryRows = [
+    ["Final Fund", fund.toFixed(2)],
+    ["Total Return", formatSignedPercentage(totalReturn)],
+    ["Annualized Return", formatSignedPercentage(annualizedReturn)],
+    ["Max Drawdown", `${(maxDrawdown * 100).toFixed(2)}%`],
+    ["Sharpe Ratio", sharpeRatio.toFixed(2)],
+    ["Total Trades", String(tradeRecords.length)],
+    ["Win Rate", `${(winRate * 100).toFixed(2)}%`],
+    ["Allocation", CONFIG.PORTFOLIO_ALLOCATION]
+  ];
+  const summaryHtml = summaryRows
+    .map(
+      ([label, value]) =>
+        `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`
+    )
+    .join("");
+  const correlationHtml = `<table><tr><th></th>${symbols
+    .map(({ symbol }) => `<th>${escapeHtml(symbol)}</th>`)
+    .join("")}</tr>${symbols
+    .map(
+      ({ symbol }, indexA) =>
+        `<tr><th>${escapeHtml(symbol)}</th>${correlation[indexA]
+          .map((value) => `<td>${value === null ? "-" : value.toFixed(2)}</td>`)
+          .join("")}</tr>`
+    )
+    .join("")}</table>`;
+  const formatFund = (value) => value.toFixed(2);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_REPORT_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<table class="summary">${summaryHtml}</table>
+<h2>Portfolio Equity</h2>
+${createLineChartSvg({
+  series: [
+    {
+      label: "Portfolio",
+      color: "#1565c0",
+      points: equityCurve.map(({ timestamp, fund }) => ({
+        timestamp,
+        value: fund
+      }))
+    }
+  ],
+  formatValue: formatFund
+})}
+<h2>Per-Symbol PnL</h2>
+${createLineChartSvg({
+  series: symbols.map(({ symbol, equityCurve }, index) => ({
+    label: symbol,
+    color: PORTFOLIO_COLORS[index % PORTFOLIO_COLORS.length],
+    points: equityCurve
+  })),
+  formatValue: formatFund
+})}
+<h2>Underwater Drawdown</h2>
+${createLineChartSvg({
+  series: [
+    {
+      label: "Drawdown",
+      color: "#c62828",
+      isArea: true,
+      points: calculateDrawdownCurve(equityCurve)
+    }
+  ],
+  height: 220,
+  formatValue: (value) => `${(value * 100).toFixed(1)}%`
+})}
+<h2>Daily Return Correlation</h2>
+${correlationHtml}
+<h2>Monthly Returns</h2>
+${createMonthlyReturnsHeatmapHtml(equityCurve)}
+${
+  monteCarlo
+    ? `<h2>Monte Carlo Analysis</h2>\n${createMonteCarloHtml(monteCarlo)}`
+    : ""
+}
+</body>
+</html>
+`;
+};
+
+// ==================== End of Portfolio Backtest ====================
+
+// ==================== Cross-Symbol Scan ====================
+
+/**
+ * 取得掃描的交易對：exchangeInfo 中交易中的USDT本位永續合約，有 SCAN_SYMBOLS 時只掃描清單內的交易對
+ */
+const getScanSymbols = async () => {
+  const exchangeInformation = await getExchangeInformation();
+  const perpetualSymbols = exchangeInformation.symbols
+    .filter(
+      (item) =>
+        item.contractType === "PERPETUAL" &&
+        item.quoteAsset === "USDT" &&
+        item.status === "TRADING"
+    )
+    .map((item) => item.symbol);
+  if (!CONFIG.SCAN_SYMBOLS) return { symbols: perpetualSymbols, skipped: [] };
+  const perpetualSymbolSet = new Set(perpetualSymbols);
+  return {
+    symbols: CONFIG.SCAN_SYMBOLS.filter((symbol) =>
+      perpetualSymbolSet.has(symbol)
+    ),
+    skipped: CONFIG.SCAN_SYMBOLS.filter(
+      (symbol) => !perpetualSymbolSet.has(symbol)
+    ).map((symbol) => ({
+      symbol,
+      reason: "not a trading USDT-M perpetual"
+    }))
+  };
+};
+
+const getMedian = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * 彙整單一參數組合在各交易對的表現，依總報酬排名
+ */
+const summarizeScanRankings = (params, rows) => {
+  const rankings = [...rows].sort((a, b) => b.totalReturn - a.totalReturn);
+  const returns = rankings.map(({ totalReturn }) => totalReturn);
+  return {
+    params,
+    rankings,
+    profitableSymbols: returns.filter((value) => value > 0).length,
+    medianReturn: getMedian(returns),
+    meanReturn:
+      returns.length > 0
+        ? returns.reduce((sum, value) => sum + value, 0) / returns.length
+        : 0,
+    worstDrawdown: Math.max(
+      0,
+      ...rankings.map(({ maxDrawdown }) => maxDrawdown)
+    )
+  };
+};
+
+/**
+ * 以固定參數組合（或優化器前N名）逐一回測各交易對，
+ * K線數不足所有參數組合暖機的交易對直接略過，確保每組參數比較的是同一批交易對
+ */
+const getScanResult = async () => {
+  const parameterSets = await getParameterSets(CONFIG.SCAN_TOP_N);
+  const baseSymbol = CONFIG.SYMBOL;
+  const { symbols, skipped } = await getScanSymbols();
+  const warmupBars = Math.max(...parameterSets.map(getEngineWarmupBars));
+  const rowsBySet = parameterSets.map(() => []);
+
+  try {
+    for (const [index, symbol] of symbols.entries()) {
+      console.log(`Scanning ${symbol} (${index + 1}/${symbols.length})`);
+      let symbolContext;
+      try {
+        symbolContext = await loadSymbolContext(symbol, parameterSets);
+      } catch (err) {
+        skipped.push({ symbol, reason: err.message });
+        continue;
+      }
+      const { cachedKlineData } = symbolContext;
+      if (cachedKlineData.length <= warmupBars) {
+        skipped.push({
+          symbol,
+          reason: `${cachedKlineData.length} klines, warm-up needs ${
+            warmupBars + 1
+          }`
+        });
+        continue;
+      }
+      parameterSets.forEach((params, setIndex) => {
+        const result = getBacktestResult({
+          shouldLogResults: false,
+          ...symbolContext,
+          ...params
+        });
+        rowsBySet[setIndex].push({
+          symbol,
+          totalReturn: result.totalReturn,
+          maxDrawdown: result.maxDrawdown,
+          totalTrades: result.totalTrades,
+          winRate: result.winRate,
+          liquidatedTrades: result.liquidatedTrades,
+          klineCount: cachedKlineData.length,
+          startTime: cachedKlineData[0].openTime
+        });
+      });
+    }
+  } finally {
+    CONFIG.SYMBOL = baseSymbol;
+  }
+
+  return {
+    parameterSets: parameterSets.map((params, setIndex) =>
+      summarizeScanRankings(params, rowsBySet[setIndex])
+    ),
+    scannedSymbols: rowsBySet[0].length,
+    skipped
+  };
+};
+
+const formatScanReport = (scanResult, totalRunTime) => {
+  const { parameterSets, scannedSymbols, skipped } = scanResult;
+
+  let report = "\n" + "=".repeat(60) + "\n";
+  report += "Cross-Symbol Scan Results Summary\n";
+  report += "=".repeat(60) + "\n";
+
+  report += "\nScan Setup\n";
+  report += `  Strategy:         ${CONFIG.STRATEGY}\n`;
+  report += `  Parameter Source: ${
+    CONFIG.PARAMETER_SET
+      ? "fixed parameter set"
+      : `top ${parameterSets.length} optimized on ${CONFIG.SYMBOL}`
+  }\n`;
+  report += `  Interval:         ${CONFIG.KLINE_INTERVAL}\n`;
+  report += `  Trade Direction:  ${CONFIG.TRADE_DIRECTION}\n`;
+  report += `  Symbols Scanned:  ${scannedSymbols}\n`;
+  report += `  Symbols Skipped:  ${skipped.length}\n`;
+
+  report += "\nParameter Sets\n";
+  report +=
+    "Set | Parameters | Profitable | Median Return | Mean Return | Worst Drawdown\n";
+  report += "-".repeat(120) + "\n";
+  parameterSets.forEach((item, index) => {
+    report += `#${index + 1} | ${formatStrategyParamsInline(item.params)} | ${
+      item.profitableSymbols
+    }/${item.rankings.length} | ${formatSignedPercentage(
+      item.medianReturn
+    )} | ${formatSignedPercentage(item.meanReturn)} | ${(
+      item.worstDrawdown * 100
+    ).toFixed(2)}%\n`;
+  });
+
+  report += "\n" + "=".repeat(60) + "\n";
+  report += "Execution Time\n";
+  report += `  Total Runtime:    ${formatRuntime(totalRunTime)}\n`;
+  report += "=".repeat(60) + "\n";
+
+  parameterSets.forEach((item, index) => {
+    report += "\n" + "=".repeat(60) + "\n";
+    report += `Set #${index + 1} Ranking: ${formatStrategyParamsInline(
+      item.params
+    )}\n`;
+    report += "=".repeat(60) + "\n\n";
+    report +=
+      "Rank | Symbol | Return | Max Drawdown | Trades | Win Rate | Liquidations | Klines | Since\n";
+    report += "-".repeat(120) + "\n";
+    item.rankings.forEach((row, rank) => {
+      report += `${rank + 1} | ${row.symbol} | ${formatSignedPercentage(
+        row.totalReturn
+      )} | ${(row.maxDrawdown * 100).toFixed(2)}% | ${row.totalTrades} | ${(
+        row.winRate * 100
+      ).toFixed(2)}% | ${row.liquidatedTrades} | ${
+        row.klineCount
+      } | ${getShortDate(row.startTime)}\n`;
+    });
+  });
+
+  if (skipped.length > 0) {
+    report += "\n" + "=".repeat(60) + "\n";
+    report += "Skipped Symbols\n";
+    report += "=".repeat(60) + "\n\n";
+    for (const { symbol, reason } of skipped) {
+      report += `${symbol}: ${reason}\n`;
+    }
+  }
+
+  return report;
+};
+
+// ==================== End of Cross-Symbol Scan ====================
+
+// ==================== JSON Report ====================
+
+/**
+ * JSON不支援Infinity/NaN，改以字串保留
+ */
+const jsonReportReplacer = (key, value) =>
+  typeof value === "number" && !Number.isFinite(value) ? String(value) : value;
+
+/**
+ * 擷取回測結果的摘要欄位（不含交易紀錄與權益曲線）
+ */
+const getResultSummary = (result) => ({
+  fund: result.fund,
+  totalReturn: result.totalReturn,
+  maxDrawdown: result.maxDrawdown,
+  winRate: result.winRate,
+  totalTrades: result.totalTrades,
+  winningTrades: result.winningTrades,
+  losingTrades: result.losingTrades,
+  liquidatedTrades: result.liquidatedTrades,
+  unfilledEntries: result.unfilledEntries,
+  rejectedEntries: result.rejectedEntries,
+  scaleInEntries: result.scaleInEntries,
+  totalPnl: result.totalPnl,
+  totalFundingFee: result.totalFundingFee,
+  totalSlippageCost: result.totalSlippageCost,
+  averageHoldTimeHours: result.averageHoldTimeHours,
+  score: result.score
+});
+
+const createJsonReport = ({
+  bestResult,
+  metrics,
+  spotBuyAndHoldResult,
+  leaderboard,
+  search,
+  monteCarlo,
+  tradeRecords,
+  totalRunTime
+}) => ({
+  generatedAt: new Date().toISOString(),
+  mode: CONFIG.MODE,
+  config: CONFIG,
+  totalRunTime,
+  bestParameters: {
+    strategy: bestResult.strategy,
+    ...getStrategyParams(bestResult),
+    tradeDirection: bestResult.tradeDirection
+  },
+  summary: getResultSummary(bestResult),
+  metrics,
+  spotBuyAndHold: spotBuyAndHoldResult && {
+    ...spotBuyAndHoldResult,
+    returnDifference: bestResult.totalReturn - spotBuyAndHoldResult.totalReturn
+  },
+  leaderboard: leaderboard.map((result) => ({
+    ...getStrategyParams(result),
+    ...getResultSummary(result)
+  })),
+  search,
+  monteCarlo,
+  tradeRecords
+});
+
+const createWalkForwardJsonReport = (walkForwardResult, totalRunTime) => {
+  const {
+    windows,
+    fund,
+    totalReturn,
+    maxDrawdown,
+    winRate,
+    totalFundingFee,
+    tradeRecords,
+    metrics,
+    monteCarlo,
+    spotBuyAndHoldResult
+  } = walkForwardResult;
+  return {
+    generatedAt: new Date().toISOString(),
+    mode: CONFIG.MODE,
+    config: CONFIG,
+    totalRunTime,
+    summary: {
+      fund,
+      totalReturn,
+      maxDrawdown,
+      winRate,
+      totalTrades: tradeRecords.length,
+      totalFundingFee
+    },
+    metrics,
+    spotBuyAndHold: spotBuyAndHoldResult && {
+      ...spotBuyAndHoldResult,
+      returnDifference: totalReturn - spotBuyAndHoldResult.totalReturn
+    },
+    windows,
+    monteCarlo,
+    tradeRecords
+  };
+};
+
+const createPortfolioJsonReport = (portfolioResult, totalRunTime) => {
+  const { params, symbols, correlation, tradeRecords } = portfolioResult;
+  return {
+    generatedAt: new Date().toISOString(),
+    mode: CONFIG.MODE,
+    config: CONFIG,
+    totalRunTime,
+    parameters: { strategy: CONFIG.STRATEGY, ...params },
+    summary: {
+      fund: portfolioResult.fund,
+      totalReturn: portfolioResult.totalReturn,
+      annualizedReturn: portfolioResult.annualizedReturn,
+      maxDrawdown: portfolioResult.maxDrawdown,
+      sharpeRatio: portfolioResult.sharpeRatio,
+      winRate: portfolioResult.winRate,
+      totalTrades: tradeRecords.length
+    },
+    symbols: symbols.map(({ equityCurve, ...item }) => item),
+    correlation: {
+      symbols: symbols.map(({ symbol }) => symbol),
+      matrix: correlation
+    },
+    equityCurve: portfolioResult.equityCurve,
+    monteCarlo: portfolioResult.monteCarlo,
+    tradeRecords
+  };
+};
+
+const createScanJsonReport = (scanResult, totalRunTime) => ({
+  generatedAt: new Date().toISOString(),
+  mode: CONFIG.MODE,
+  config: CONFIG,
+  totalRunTime,
+  strategy: CONFIG.STRATEGY,
+  parameterSets: scanResult.parameterSets,
+  skipped: scanResult.skipped
+});
+
+// ==================== End of JSON Report ====================
+
+// ==================== HTML Report ====================
+
+const CHART_WIDTH = 960;
+const CHART_PADDING = { top: 20, right: 20, bottom: 30, left: 80 };
+const CHART_MAX_POINTS = 2000;
+const CHART_MAX_CANDLES = 300;
+const CHART_TICK_COUNT = 5;
+const MONTH_LABELS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec"
+];
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * 等距抽樣，保留最後一個點
+ */
+const downsamplePoints = (points, maxPoints) => {
+  if (points.length <= maxPoints) return points;
+  const step = points.length / maxPoints;
+  const sampled = [];
+  for (let i = 0; i < maxPoints - 1; i++) {
+    sampled.push(points[Math.floor(i * step)]);
+  }
+  sampled.push(points[points.length - 1]);
+  return sampled;
+};
+
+const createLinearScale = (minValue, maxValue, start, end) => {
+  const span = maxValue - minValue || 1;
+  return (value) => start + ((value - minValue) / span) * (end - start);
+};
+
+/**
+ * 繪製座標軸、格線與刻度文字
+ */
+const createChartAxesSvg = ({
+  minTime,
+  maxTime,
+  minValue,
+  maxValue,
+  height,
+  formatValue
+}) => {
+  const xScale = createLinearScale(
+    minTime,
+    maxTime,
+    CHART_PADDING.left,
+    CHART_WIDTH - CHART_PADDING.right
+  );
+  const yScale = createLinearScale(
+    minValue,
+    maxValue,
+    height - CHART_PADDING.bottom,
+    CHART_PADDING.top
+  );
+  let svg = "";
+  for (let i = 0; i <= CHART_TICK_COUNT; i++) {
+    const value = minValue + ((maxValue - minValue) * i) / CHART_TICK_COUNT;
+    const y = yScale(value).toFixed(1);
+    svg += `<line x1="${CHART_PADDING.left}" x2="${
+      CHART_WIDTH - CHART_PADDING.right
+    }" y1="${y}" y2="${y}" class="grid"/>`;
+    svg += `<text x="${CHART_PADDING.left - 6}" y="${y}" class="y-label">${escapeHtml(
+      formatValue(value)
+    )}</text>`;
+  }
+  for (let i = 0; i <= CHART_TICK_COUNT; i++) {
+    const time = minTime + ((maxTime - minTime) * i) / CHART_TICK_COUNT;
+    svg += `<text x="${xScale(time).toFixed(1)}" y="${
+      height - CHART_PADDING.bottom + 18
+    }" class="x-label">${getShortDate(time)}</text>`;
+  }
+  return { svg, xScale, yScale };
+};
+
+/**
+ * 繪製折線圖，series為 [{ label, color, points: [{ timestamp, value }], isArea }]
+ */
+const createLineChartSvg = ({ series, height = 320, formatValue }) => {
+  const visibleSeries = series
+    .filter((item) => item.points.length > 0)
+    .map((item) => ({
+      ...item,
+      points: downsamplePoints(item.points, CHART_MAX_POINTS)
+    }));
+  if (visibleSeries.length === 0) return "<p>No data</p>";
+
+  const allPoints = visibleSeries.flatMap((item) => item.points);
+  const minValue = Math.min(...allPoints.map((point) => point.value));
+  const maxValue = Math.max(...allPoints.map((point) => point.value));
+  const { svg, xScale, yScale } = createChartAxesSvg({
+    minTime: Math.min(...allPoints.map((point) => point.timestamp)),
+    maxTime: Math.max(...allPoints.map((point) => point.timestamp)),
+    minValue,
+    maxValue,
+    height,
+    formatValue
+  });
+
+  let paths = "";
+  let legend = "";
+  visibleSeries.forEach((item, index) => {
+    const coordinates = item.points.map(
+      (point) =>
+        `${xScale(point.timestamp).toFixed(1)},${yScale(point.value).toFixed(1)}`
+    );
+    if (item.isArea) {
+      const baseline = yScale(
+        Math.min(Math.max(0, minValue), maxValue)
+      ).toFixed(1);
+      const firstX = xScale(item.points[0].timestamp).toFixed(1);
+      const lastX = xScale(
+        item.points[item.points.length - 1].timestamp
+      ).toFixed(1);
+      paths += `<path d="M${firstX},${baseline} L${coordinates.join(
+        " L"
+      )} L${lastX},${baseline} Z" fill="${item.color}" fill-opacity="0.35" stroke="${item.color}"/>`;
+    } else {
+      paths += `<polyline points="${coordinates.join(" ")}" fill="none" stroke="${
+        item.color
+      }" stroke-width="1.5"/>`;
+    }
+    legend += `<text x="${CHART_PADDING.left + 10 + index * 180}" y="${
+      CHART_PADDING.top + 12
+    }" fill="${item.color}" class="legend">■ ${escapeHtml(item.label)}</text>`;
+  });
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${height}" xmlns="http://www.w3.org/2000/svg">${svg}${paths}${legend}</svg>`;
+};
+
+/**
+ * 將K線合併成最多maxCandles根，避免圖表過於密集
+ */
+const aggregateCandles = (klineData, maxCandles) => {
+  const bucketSize = Math.ceil(klineData.length / maxCandles);
+  const candles = [];
+  for (let i = 0; i < klineData.length; i += bucketSize) {
+    const bucket = klineData.slice(i, i + bucketSize);
+    candles.push({
+      openTime: bucket[0].openTime,
+      closeTime: bucket[bucket.length - 1].closeTime,
+      openPrice: bucket[0].openPrice,
+      closePrice: bucket[bucket.length - 1].closePrice,
+      highPrice: Math.max(...bucket.map((kline) => kline.highPrice)),
+      lowPrice: Math.min(...bucket.map((kline) => kline.lowPrice))
+    });
+  }
+  return candles;
+};
+
+/**
+ * 繪製K線圖並標示每筆交易的進出場位置
+ */
+const createCandlestickChartSvg = (klineData, tradeRecords, height = 420) => {
+  if (klineData.length === 0) return "<p>No data</p>";
+  const candles = aggregateCandles(klineData, CHART_MAX_CANDLES);
+  const { svg, xScale, yScale } = createChartAxesSvg({
+    minTime: candles[0].openTime,
+    maxTime: candles[candles.length - 1].closeTime,
+    minValue: Math.min(...candles.map((candle) => candle.lowPrice)),
+    maxValue: Math.max(...candles.map((candle) => candle.highPrice)),
+    height,
+    formatValue: (value) => value.toFixed(2)
+  });
+
+  const candleWidth = Math.max(
+    1,
+    ((CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right) /
+      candles.length) *
+      0.7
+  );
+  let body = "";
+  for (const candle of candles) {
+    const x = xScale((candle.openTime + candle.closeTime) / 2);
+    const color = candle.closePrice >= candle.openPrice ? "#26a69a" : "#ef5350";
+    const top = yScale(Math.max(candle.openPrice, candle.closePrice));
+    const bottom = yScale(Math.min(candle.openPrice, candle.closePrice));
+    body += `<line x1="${x.toFixed(1)}" x2="${x.toFixed(1)}" y1="${yScale(
+      candle.highPrice
+    ).toFixed(
+      1
+    )}" y2="${yScale(candle.lowPrice).toFixed(1)}" stroke="${color}"/>`;
+    body += `<rect x="${(x - candleWidth / 2).toFixed(1)}" y="${top.toFixed(
+      1
+    )}" width="${candleWidth.toFixed(1)}" height="${Math.max(
+      1,
+      bottom - top
+    ).toFixed(1)}" fill="${color}"/>`;
+  }
+
+  let markers = "";
+  for (const trade of tradeRecords) {
+    const entryX = xScale(trade.openTimestamp).toFixed(1);
+    const entryY = yScale(trade.openPrice);
+    const exitX = xScale(trade.closeTimestamp).toFixed(1);
+    const exitY = yScale(trade.closePrice).toFixed(1);
+    const title = `${trade.positionType} ${getReadableTime(
+      trade.openTimestamp
+    )} → ${getReadableTime(trade.closeTimestamp)} (${
+      trade.exitReason
+    }) PnL ${trade.pnl.toFixed(2)}`;
+    markers +=
+      trade.positionType === "LONG"
+        ? `<path d="M${entryX},${(entryY - 6).toFixed(1)} l-5,9 h10 Z" fill="#1565c0"><title>${escapeHtml(
+            title
+          )}</title></path>`
+        : `<path d="M${entryX},${(entryY + 6).toFixed(1)} l-5,-9 h10 Z" fill="#ff8f00"><title>${escapeHtml(
+            title
+          )}</title></path>`;
+    markers += `<circle cx="${exitX}" cy="${exitY}" r="3.5" fill="none" stroke="${
+      trade.pnl > 0 ? "#2e7d32" : "#c62828"
+    }" stroke-width="1.5"><title>${escapeHtml(title)}</title></circle>`;
+  }
+
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${height}" xmlns="http://www.w3.org/2000/svg">${svg}${body}${markers}</svg>`;
+};
+
+/**
+ * 從權益曲線計算每月報酬率
+ */
+const calculateMonthlyReturns = (equityCurve) => {
+  const monthlyReturns = new Map();
+  let previousMonthFund = CONFIG.INITIAL_FUNDING;
+  let currentKey = null;
+  let currentFund = null;
+  const commitMonth = () => {
+    if (currentKey === null) return;
+    monthlyReturns.set(currentKey, currentFund / previousMonthFund - 1);
+    previousMonthFund = currentFund;
+  };
+  for (const { timestamp, fund } of equityCurve) {
+    const date = new Date(timestamp);
+    const key = `${date.getFullYear()}-${date.getMonth()}`;
+    if (key !== currentKey) {
+      commitMonth();
+      currentKey = key;
+    }
+    currentFund = fund;
+  }
+  commitMonth();
+  return monthlyReturns;
+};
+
+const createMonthlyReturnsHeatmapHtml = (equityCurve) => {
+  const monthlyReturns = calculateMonthlyReturns(equityCurve);
+  if (monthlyReturns.size === 0) return "<p>No data</p>";
+
+  const years = [
+    ...new Set(
+      [...monthlyReturns.keys()].map((key) => Number(key.split("-")[0]))
+    )
+  ].sort((a, b) => a - b);
+  const maxAbsReturn =
+    Math.max(...[...monthlyReturns.values()].map(Math.abs)) || 1;
+
+  let html = `<table class="heatmap"><tr><th>Year</th>${MONTH_LABELS.map(
+    (label) => `<th>${label}</th>`
+  ).join("")}</tr>`;
+  for (const year of years) {
+    html += `<tr><th>${year}</th>`;
+    for (let month = 0; month < 12; month++) {
+      const monthlyReturn = monthlyReturns.get(`${year}-${month}`);
+      if (monthlyReturn === undefined) {
+        html += "<td></td>";
+        continue;
+      }
+      const intensity = Math.min(1, Math.abs(monthlyReturn) / maxAbsReturn);
+      const color =
+        monthlyReturn >= 0
+          ? `rgba(38, 166, 154, ${0.15 + intensity * 0.85})`
+          : `rgba(239, 83, 80, ${0.15 + intensity * 0.85})`;
+      html += `<td style="background:${color}">${formatSignedPercentage(
+        monthlyReturn
+      )}</td>`;
+    }
+    html += "</tr>";
+  }
+  return html + "</table>";
+};
+
+/**
+ * 現貨買入持有的逐K線權益，最後一根扣除賣出手續費
+ */
+const getSpotBuyAndHoldCurve = (
+  cachedKlineData,
+  stepSize,
+  klineRange = null
+) => {
+  const start = klineRange ? klineRange.start : 0;
+  const end = klineRange ? klineRange.end : cachedKlineData.length;
+  if (end <= start) return [];
+
+  const buyPrice = cachedKlineData[start].openPrice;
+  const orderQuantity =
+    (CONFIG.INITIAL_FUNDING * (CONFIG.ORDER_AMOUNT_PERCENT / 100)) / buyPrice;
+  const positionAmt = formatBySize(orderQuantity, stepSize);
+  const openFee = positionAmt * buyPrice * CONFIG.FEE;
+
+  const curve = [];
+  for (let i = start; i < end; i++) {
+    const kline = cachedKlineData[i];
+    curve.push({
+      timestamp: kline.closeTime,
+      fund:
+        CONFIG.INITIAL_FUNDING -
+        openFee +
+        (kline.closePrice - buyPrice) * positionAmt
+    });
+  }
+  curve[curve.length - 1].fund -=
+    positionAmt * cachedKlineData[end - 1].closePrice * CONFIG.FEE;
+  return curve;
+};
+
+/**
+ * 計算權益曲線的水下回撤序列
+ */
+const calculateDrawdownCurve = (equityCurve) => {
+  let peakFund = CONFIG.INITIAL_FUNDING;
+  return equityCurve.map(({ timestamp, fund }) => {
+    if (fund > peakFund) peakFund = fund;
+    return { timestamp, value: fund / peakFund - 1 };
+  });
+};
+
+const HTML_REPORT_STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 24px auto; max-width: 1000px; color: #222; }
+  h1 { font-size: 22px; } h2 { font-size: 17px; margin-top: 32px; }
+  table { border-collapse: collapse; font-size: 13px; }
+  td, th { padding: 4px 8px; border: 1px solid #ddd; text-align: right; }
+  .summary td:first-child { text-align: left; color: #555; }
+  .heatmap td { min-width: 56px; }
+  svg { width: 100%; height: auto; background: #fff; }
+  .grid { stroke: #eee; } .y-label { font-size: 11px; text-anchor: end; dominant-baseline: middle; fill: #666; }
+  .x-label { font-size: 11px; text-anchor: middle; fill: #666; } .legend { font-size: 12px; }
+`;
+
+/**
+ * 產生 Monte Carlo 分析的HTML表格，每種方法一個表格
+ */
+const createMonteCarloHtml = (monteCarlo) => {
+  const headerHtml = getMonteCarloHeader()
+    .map((label) => `<th>${escapeHtml(label)}</th>`)
+    .join("");
+  let html = `<p>${monteCarlo.runs} runs per method (seed ${
+    monteCarlo.seed
+  }) over ${monteCarlo.trades} trades. Ruin: ${escapeHtml(
+    formatMonteCarloRuin(monteCarlo)
+  )}.</p>`;
+  for (const [method, { riskOfRuin }] of Object.entries(monteCarlo.methods)) {
+    const rowsHtml = getMonteCarloRows(monteCarlo, method)
+      .map(
+        (row) =>
+          `<tr>${row.map((value) => `<td>${escapeHtml(value)}</td>`).join("")}</tr>`
+      )
+      .join("");
+    html += `<p>${escapeHtml(MONTE_CARLO_METHOD_LABELS[method])}: risk of ruin ${(
+      riskOfRuin * 100
+    ).toFixed(2)}%</p>`;
+    html += `<table class="summary"><tr>${headerHtml}</tr>${rowsHtml}</table>`;
+  }
+  return html;
+};
+
+/**
+ * 產生可離線瀏覽的HTML報告（圖表皆為內嵌SVG）
+ */
+const createHtmlReport = ({
+  title,
+  summaryRows,
+  equityCurve,
+  benchmarkCurve,
+  tradeRecords,
+  klineData,
+  monteCarlo = null
+}) => {
+  const formatFund = (value) => value.toFixed(2);
+  const summaryHtml = summaryRows
+    .map(
+      ([label, value]) =>
+        `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_REPORT_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<table class="summary">${summaryHtml}</table>
+<h2>Equity Curve vs Spot Buy &amp; Hold</h2>
+${createLineChartSvg({
+  series: [
+    {
+      label: "Strategy",
+      color: "#1565c0",
+      points: equityCurve.map(({ timestamp, fund }) => ({
+        timestamp,
+        value: fund
+      }))
+    },
+    {
+      label: "Spot Buy & Hold",
+      color: "#9e9e9e",
+      points: benchmarkCurve.map(({ timestamp, fund }) => ({
+        timestamp,
+        value: fund
+      }))
+    }
+  ],
+  formatValue: formatFund
+})}
+<h2>Underwater Drawdown</h2>
+${createLineChartSvg({
+  series: [
+    {
+      label: "Drawdown",
+      color: "#c62828",
+      isArea: true,
+      points: calculateDrawdownCurve(equityCurve)
+    }
+  ],
+  height: 220,
+  formatValue: (value) => `${(value * 100).toFixed(1)}%`
+})}
+<h2>Price &amp; Trades</h2>
+${createCandlestickChartSvg(klineData, tradeRecords)}
+<h2>Monthly Returns</h2>
+${createMonthlyReturnsHeatmapHtml(equityCurve)}
+${
+  monteCarlo
+    ? `<h2>Monte Carlo Analysis</h2>\n${createMonteCarloHtml(monteCarlo)}`
+    : ""
+}
+</body>
+</html>
+`;
+};
+
+// ==================== End of HTML Report ====================
+
+/**
+ * 生成報告文件名（不含副檔名）
+ */
+const generateReportBasename = () => {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  return `backtest-report-${timestamp}`;
+};
+
+/**
+ * 保存報告到文件，文字、JSON與HTML報告使用相同的時間戳記
+ */
+const saveReportToFile = async (
+  report,
+  { jsonReport = null, htmlReport = null } = {}
+) => {
+  const basename = generateReportBasename();
+  const filenames = [`${basename}.txt`];
+  await writeFile(filenames[0], report, "utf-8");
+  if (jsonReport) {
+    const jsonFilename = `${basename}.json`;
+    await writeFile(
+      jsonFilename,
+      JSON.stringify(jsonReport, jsonReportReplacer, 2),
+      "utf-8"
+    );
+    filenames.push(jsonFilename);
+  }
+  if (htmlReport) {
+    const htmlFilename = `${basename}.html`;
+    await writeFile(htmlFilename, htmlReport, "utf-8");
+    filenames.push(htmlFilename);
+  }
+  return filenames;
+};
+
+// ==================== Command Line Interface ====================
+
+const KLINE_INTERVALS = [
+  "1m",
+  "3m",
+  "5m",
+  "15m",
+  "30m",
+  "1h",
+  "2h",
+  "4h",
+  "6h",
+  "8h",
+  "12h",
+  "1d",
+  "3d",
+  "1w",
+  "1M"
+];
+
+/**
+ * 解析數值參數
+ */
+const parseNumberOption = (value, name) => {
+  const number = Number(value);
+  if (value.trim() === "" || Number.isNaN(number)) {
+    throw new Error(`--${name} must be a number, got "${value}"`);
+  }
+  return number;
+};
+
+/**
+ * 解析參數範圍，格式為 <value> 或 <min>:<max>[:<step>]
+ */
+const parseRangeOption = (value, name) => {
+  const parts = value.split(":");
+  if (
+    parts.length > 3 ||
+    parts.some((part) => part.trim() === "" || Number.isNaN(Number(part)))
+  ) {
+    throw new Error(
+      `--${name} must be <value> or <min>:<max>[:<step>], got "${value}"`
+    );
+  }
+  const [min, max = min, step = 1] = parts.map(Number);
+  return { min, max, step };
+};
+
+/**
+ * 解析日期參數，支援 YYYY-MM-DD、ISO 8601 或毫秒時間戳
+ */
+const parseDateOption = (value, name) => {
+  const timestamp = /^\d+$/.test(String(value))
+    ? Number(value)
+    : Date.parse(value);
+  if (Number.isNaN(timestamp)) {
+    throw new Error(
+      `--${name} must be a date (YYYY-MM-DD, ISO 8601 or timestamp in ms), got "${value}"`
+    );
+  }
+  return timestamp;
+};
+
+const parseSampleOption = (value, name) =>
+  value === "all" ? null : parseNumberOption(value, name);
+
+const parseMaxDrawdownOption = (value, name) =>
+  value === "none" ? null : parseNumberOption(value, name);
+
+const toUpperCaseOption = (value) => value.toUpperCase();
+
+const parseSymbolListOption = (value) =>
+  value
+    .split(",")
+    .map((symbol) => symbol.trim().toUpperCase())
+    .filter(Boolean);
+
+/**
+ * 解析 key=value 清單，例如 rsiLongPeriod=10,leverage=2
+ */
+const parseKeyValueOption = (value, name) => {
+  const result = {};
+  for (const pair of value.split(",")) {
+    const [key, rawValue] = pair.split("=").map((part) => part.trim());
+    if (!key || rawValue === undefined) {
+      throw new Error(
+        `--${name} must be a list of key=value pairs, got "${value}"`
+      );
+    }
+    result[key] = parseNumberOption(rawValue, name);
+  }
+  return result;
+};
+
+const CLI_OPTIONS = {
+  config: {
+    valueName: "file",
+    description: "Load CONFIG overrides from a JSON file"
+  },
+  symbol: {
+    configKey: "SYMBOL",
+    valueName: "symbol",
+    parse: toUpperCaseOption,
+    description: "Trading pair, e.g. BTCUSDT"
+  },
+  interval: {
+    configKey: "KLINE_INTERVAL",
+    valueName: "interval",
+    description: "Kline interval, e.g. 1h"
+  },
+  "source-interval": {
+    configKey: "KLINE_SOURCE_INTERVAL",
+    valueName: "interval",
+    description: "Load this shorter interval and resample it to --interval"
+  },
+  "kline-repair": {
+    configKey: "KLINE_REPAIR",
+    valueName: "mode",
+    parse: toUpperCaseOption,
+    description: "Kline gaps/duplicates/open bar: none (report), drop or fill"
+  },
+  start: {
+    configKey: "KLINE_START_TIME",
+    valueName: "date",
+    parse: parseDateOption,
+    description: "Backtest start time"
+  },
+  end: {
+    configKey: "KLINE_END_TIME",
+    valueName: "date",
+    parse: parseDateOption,
+    description: "Backtest end time (default: now)"
+  },
+  strategy: {
+    configKey: "STRATEGY",
+    valueName: "strategy",
+    parse: (value) => value.toUpperCase().replace(/-/g, "_"),
+    description: "rsi, ma-crossover, breakout, rsi-ma-trend or rsi-htf-trend"
+  },
+  "rsi-long-period": {
+    configKey: "RSI_LONG_PERIOD_SETTING",
+    valueName: "min:max:step",
+    parse: parseRangeOption,
+    description: "RSI long period range"
+  },
+  "rsi-short-period": {
+    configKey: "RSI_SHORT_PERIOD_SETTING",
+    valueName: "min:max:step",
+    parse: parseRangeOption,
+    description: "RSI short period range"
+  },
+  "rsi-long-level": {
+    configKey: "RSI_LONG_LEVEL_SETTING",
+    valueName: "min:max:step",
+    parse: parseRangeOption,
+    description: "RSI long level range"
+  },
+  "rsi-short-level": {
+    configKey: "RSI_SHORT_LEVEL_SETTING",
+    valueName: "min:max:step",
+    parse: parseRangeOption,
+    description: "RSI short level range"
+  },
+  "ma-fast-period": {
+    configKey: "MA_FAST_PERIOD_SETTING",
+    valueName: "min:max:step",
+    parse: parseRangeOption,
+    description: "Fast SMA period range (ma-crossover)"
+  },
+  "ma-slow-period": {
+    configKey: "MA_SLOW_PERIOD_SETTING",
+    valueName: "min:max:step",
+    parse: parseRangeOption,
+    description: "Slow SMA period range (ma-crossover)"
+  },
+  "ma-trend-period": {
+    configKey: "MA_TREND_PERIOD_SETTING",
+    valueName: "min:max:step",
+    parse: parseRangeOption,
+    description: "Trend SMA period range (rsi-ma-trend)"
+  },
+  "htf-interval": {
+    configKey: "HTF_INTERVAL",
+    valueName: "interval",
+    description: "Higher timeframe for rsi-htf-trend, e.g. 4h or 1d"
+  },
+  "htf-ma-period": {
+    configKey: "HTF_MA_PERIOD_SETTING",
+    valueName: "min:max:step",
+    parse: parseRangeOption,
+    description: "Higher-timeframe trend SMA period range (rsi-htf-trend)"
+  },
+  "breakout-entry-period": {
+    configKey: "BREAKOUT_ENTRY_PERIOD_SETTING",
+    valueName: "min:max:step",
+    parse: parseRangeOption,
+    description: "Entry channel period range (breakout)"
+  },
+  "breakout-exit-period": {
+    configKey: "BREAKOUT_EXIT_PERIOD_SETTING",
+    valueName: "min:max:step",
+    parse: parseRangeOption,
+    description: "Exit channel period range (breakout)"
+  },
+  leverage: {
+    configKey: "LEVERAGE_SETTING",
+    valueName: "min:max:step",
+    parse: parseRangeOption,
+    description: "Leverage range"
+  },
+  "stop-loss-type": {
+    configKey: "STOP_LOSS_TYPE",
+    valueName: "type",
+    parse: toUpperCaseOption,
+    description: "Stop-loss distance: none, percent or atr"
+  },
+  "stop-loss": {
+    configKey: "STOP_LOSS_SETTING",
+    valueName: "min:max:step",
+    parse: parseRangeOption,
+    description: "Stop-loss range (% of entry price or ATR multiple)"
+  },
+  "trailing-stop": {
+    type: "boolean",
+    configKey: "IS_TRAILING_STOP",
+    description: "Trail the stop loss behind the best price since entry"
+  },
+  "take-profit-type": {
+    configKey: "TAKE_PROFIT_TYPE",
+    valueName: "type",
+    parse: toUpperCaseOption,
+    description: "Take-profit distance: none, percent or atr"
+  },
+  "take-profit": {
+    configKey: "TAKE_PROFIT_SETTING",
+    valueName: "min:max:step",
+    parse: parseRangeOption,
+    description: "Take-profit range (% of entry price or ATR multiple)"
+  },
+  "take-profit-tranches": {
+    configKey: "TAKE_PROFIT_TRANCHES",
+    valueName: "percents",
+    parse: (value, name) =>
+      value.split(",").map((percent) => parseNumberOption(percent, name)),
+    description:
+      "Position percent closed at each take-profit target, e.g. 50 or 30,30,40"
+  },
+  "margin-type": {
+    configKey: "MARGIN_TYPE",
+    valueName: "type",
+    parse: toUpperCaseOption,
+    description: "Margin type for liquidation: isolated or crossed"
+  },
+  "leverage-bracket-file": {
+    configKey: "LEVERAGE_BRACKET_FILE_PATH",
+    valueName: "file",
+    description: "Local /fapi/v1/leverageBracket snapshot (JSON)"
+  },
+  "exit-atr-period": {
+    configKey: "EXIT_ATR_PERIOD",
+    valueName: "period",
+    parse: parseNumberOption,
+    description: "ATR period for ATR-based exits"
+  },
+  "entry-order-type": {
+    configKey: "ENTRY_ORDER_TYPE",
+    valueName: "type",
+    parse: toUpperCaseOption,
+    description: "Entry orders: market or limit"
+  },
+  "limit-entry-offset": {
+    configKey: "LIMIT_ENTRY_OFFSET_PERCENT",
+    valueName: "percent",
+    parse: parseNumberOption,
+    description: "Limit entry distance from the previous close (%)"
+  },
+  slippage: {
+    configKey: "SLIPPAGE_MODEL",
+    valueName: "model",
+    parse: toUpperCaseOption,
+    description: "Slippage model: none, fixed, volatility or volume"
+  },
+  "slippage-bps": {
+    configKey: "SLIPPAGE_BPS",
+    valueName: "bps",
+    parse: parseNumberOption,
+    description: "Fixed slippage in basis points"
+  },
+  "slippage-factor": {
+    configKey: "SLIPPAGE_FACTOR",
+    valueName: "factor",
+    parse: parseNumberOption,
+    description: "ATR multiple (volatility) or impact factor (volume)"
+  },
+  "slippage-atr-period": {
+    configKey: "SLIPPAGE_ATR_PERIOD",
+    valueName: "period",
+    parse: parseNumberOption,
+    description: "ATR period for volatility slippage"
+  },
+  direction: {
+    configKey: "TRADE_DIRECTION",
+    valueName: "side",
+    parse: toUpperCaseOption,
+    description: "Trade direction: long, short or both"
+  },
+  sample: {
+    configKey: "RANDOM_SAMPLE_NUMBER",
+    valueName: "count|all",
+    parse: parseSampleOption,
+    description: "Number of random combinations to test"
+  },
+  search: {
+    configKey: "SEARCH_METHOD",
+    valueName: "method",
+    parse: (value) => value.toUpperCase().replace(/-/g, "_"),
+    description: "Search method: grid, genetic, tpe or successive-halving"
+  },
+  budget: {
+    configKey: "SEARCH_BUDGET",
+    valueName: "evaluations",
+    parse: parseNumberOption,
+    description: "Backtest budget for genetic, tpe and successive-halving"
+  },
+  seed: {
+    configKey: "SEARCH_SEED",
+    valueName: "number",
+    parse: parseNumberOption,
+    description: "Random seed for the search methods and --sample"
+  },
+  population: {
+    configKey: "SEARCH_POPULATION_SIZE",
+    valueName: "size",
+    parse: parseNumberOption,
+    description: "Genetic algorithm population size"
+  },
+  "compare-grid": {
+    type: "boolean",
+    configKey: "IS_GRID_COMPARISON_ENABLED",
+    description: "Also run the full grid search and compare the best scores"
+  },
+  "max-drawdown": {
+    configKey: "MAX_DRAWDOWN_THRESHOLD",
+    valueName: "ratio|none",
+    parse: parseMaxDrawdownOption,
+    description: "Reject runs above this drawdown, e.g. 0.5"
+  },
+  "monte-carlo-runs": {
+    configKey: "MONTE_CARLO_RUNS",
+    valueName: "count",
+    parse: parseNumberOption,
+    description: "Trade shuffle and bootstrap runs per method (0 = off)"
+  },
+  "monte-carlo-seed": {
+    configKey: "MONTE_CARLO_SEED",
+    valueName: "number",
+    parse: parseNumberOption,
+    description: "Random seed for the Monte Carlo analysis"
+  },
+  mode: {
+    configKey: "MODE",
+    valueName: "mode",
+    parse: (value) => value.toUpperCase().replace(/-/g, "_"),
+    description: "Run mode: optimize, walk-forward, portfolio or scan"
+  },
+  params: {
+    configKey: "PARAMETER_SET",
+    valueName: "key=value,...",
+    parse: parseKeyValueOption,
+    description:
+      "Fixed parameter set for portfolio and scan modes (default: optimize SYMBOL)"
+  },
+  "train-bars": {
+    configKey: "WALK_FORWARD_TRAIN_BARS",
+    valueName: "bars",
+    parse: parseNumberOption,
+    description: "Walk-forward train window length in klines"
+  },
+  "test-bars": {
+    configKey: "WALK_FORWARD_TEST_BARS",
+    valueName: "bars",
+    parse: parseNumberOption,
+    description: "Walk-forward test window length in klines"
+  },
+  anchored: {
+    type: "boolean",
+    configKey: "IS_WALK_FORWARD_ANCHORED",
+    description: "Anchor walk-forward train windows at the first kline"
+  },
+  symbols: {
+    configKey: "PORTFOLIO_SYMBOLS",
+    valueName: "list",
+    parse: parseSymbolListOption,
+    description: "Portfolio symbols, e.g. BTCUSDT,ETHUSDT"
+  },
+  allocation: {
+    configKey: "PORTFOLIO_ALLOCATION",
+    valueName: "type",
+    parse: (value) => value.toUpperCase().replace(/-/g, "_"),
+    description: "Portfolio allocation: equal, volatility-parity or fixed"
+  },
+  weights: {
+    configKey: "PORTFOLIO_WEIGHTS",
+    valueName: "symbol=weight,...",
+    parse: (value, name) => {
+      const weights = {};
+      for (const [symbol, weight] of Object.entries(
+        parseKeyValueOption(value, name)
+      )) {
+        weights[symbol.toUpperCase()] = weight;
+      }
+      return weights;
+    },
+    description: "Fixed portfolio weights, e.g. BTCUSDT=2,ETHUSDT=1"
+  },
+  "volatility-bars": {
+    configKey: "PORTFOLIO_VOLATILITY_BARS",
+    valueName: "bars",
+    parse: parseNumberOption,
+    description: "Lookback in klines for volatility-parity weights"
+  },
+  "max-positions": {
+    configKey: "MAX_CONCURRENT_POSITIONS",
+    valueName: "count|none",
+    parse: (value, name) =>
+      value === "none" ? null : parseNumberOption(value, name),
+    description: "Cap on concurrent portfolio positions"
+  },
+  "scan-symbols": {
+    configKey: "SCAN_SYMBOLS",
+    valueName: "list|all",
+    parse: (value) =>
+      value.toLowerCase() === "all" ? null : parseSymbolListOption(value),
+    description: "Symbols to scan (default: all USDT-M perpetuals)"
+  },
+  "scan-top": {
+    configKey: "SCAN_TOP_N",
+    valueName: "count",
+    parse: parseNumberOption,
+    description: "Optimizer top-N parameter sets to scan without --params"
+  },
+  objective: {
+    configKey: "OPTIMIZATION_OBJECTIVE",
+    valueName: "objective",
+    parse: (value) => value.toUpperCase().replace(/-/g, "_"),
+    description:
+      "total-return, sharpe, sortino, calmar, profit-factor, return-drawdown or composite"
+  },
+  "min-trades": {
+    configKey: "MIN_TRADES",
+    valueName: "count",
+    parse: parseNumberOption,
+    description: "Reject combinations with fewer trades"
+  },
+  "min-exposure": {
+    configKey: "MIN_EXPOSURE",
+    valueName: "percent",
+    parse: parseNumberOption,
+    description: "Reject combinations with lower time-in-market"
+  },
+  top: {
+    configKey: "LEADERBOARD_SIZE",
+    valueName: "count",
+    parse: parseNumberOption,
+    description: "Number of combinations kept in the leaderboard"
+  },
+  export: {
+    configKey: "RESULTS_EXPORT_PATH",
+    valueName: "file",
+    description: "Export every tested combination to a .csv or columnar .json"
+  },
+  workers: {
+    configKey: "WORKER_COUNT",
+    valueName: "count",
+    parse: parseNumberOption,
+    description: "Number of worker threads for the grid search"
+  },
+  "initial-funding": {
+    configKey: "INITIAL_FUNDING",
+    valueName: "amount",
+    parse: parseNumberOption,
+    description: "Initial funding"
+  },
+  "order-amount-percent": {
+    configKey: "ORDER_AMOUNT_PERCENT",
+    valueName: "percent",
+    parse: parseNumberOption,
+    description: "Percentage of funds used per order"
+  },
+  sizing: {
+    configKey: "POSITION_SIZING",
+    valueName: "model",
+    parse: (value) => value.toUpperCase().replace(/-/g, "_"),
+    description:
+      "Position sizing: percent, fixed-risk, volatility-target, kelly or fixed-notional"
+  },
+  "risk-per-trade": {
+    configKey: "RISK_PER_TRADE_PERCENT",
+    valueName: "percent",
+    parse: parseNumberOption,
+    description: "Fixed-risk sizing: fund percent lost at the stop loss"
+  },
+  "volatility-target": {
+    configKey: "VOLATILITY_TARGET_PERCENT",
+    valueName: "percent",
+    parse: parseNumberOption,
+    description: "Volatility-target sizing: fund percent moved by one ATR"
+  },
+  "sizing-atr-period": {
+    configKey: "SIZING_ATR_PERIOD",
+    valueName: "period",
+    parse: parseNumberOption,
+    description: "ATR period for volatility-target sizing"
+  },
+  "kelly-fraction": {
+    configKey: "KELLY_FRACTION",
+    valueName: "fraction",
+    parse: parseNumberOption,
+    description: "Multiplier on the Kelly fraction, e.g. 0.5 for half Kelly"
+  },
+  "kelly-min-trades": {
+    configKey: "KELLY_MIN_TRADES",
+    valueName: "count",
+    parse: parseNumberOption,
+    description: "Closed trades before Kelly sizing replaces the percent sizing"
+  },
+  "fixed-notional": {
+    configKey: "FIXED_NOTIONAL",
+    valueName: "amount",
+    parse: parseNumberOption,
+    description: "Fixed-notional sizing: position value in USDT"
+  },
+  pyramiding: {
+    configKey: "PYRAMIDING_LAYERS",
+    valueName: "layers",
+    parse: parseNumberOption,
+    description: "Maximum entries per position when the entry signal repeats"
+  },
+  "pyramiding-min-bars": {
+    configKey: "PYRAMIDING_MIN_BARS",
+    valueName: "bars",
+    parse: parseNumberOption,
+    description: "Minimum bars between entries of the same position"
+  },
+  "pyramiding-min-distance": {
+    configKey: "PYRAMIDING_MIN_DISTANCE_PERCENT",
+    valueName: "percent",
+    parse: parseNumberOption,
+    description:
+      "Minimum price move in percent from the last entry before scaling in"
+  },
+  fee: {
+    configKey: "FEE",
+    valueName: "rate",
+    parse: parseNumberOption,
+    description: "Taker fee rate (market orders), e.g. 0.0005"
+  },
+  "maker-fee": {
+    configKey: "MAKER_FEE",
+    valueName: "rate",
+    parse: parseNumberOption,
+    description: "Maker fee rate (limit entries and take-profits)"
+  },
+  "funding-rate": {
+    configKey: "FUNDING_RATE",
+    valueName: "rate",
+    parse: parseNumberOption,
+    description: "Constant funding rate per 8h period"
+  },
+  "funding-rate-source": {
+    configKey: "FUNDING_RATE_SOURCE",
+    valueName: "source",
+    parse: toUpperCaseOption,
+    description:
+      "Funding rates: api or file (historical), or constant (default: constant for file data, otherwise api)"
+  },
+  "funding-rate-file": {
+    configKey: "FUNDING_RATE_FILE_PATH",
+    valueName: "file",
+    description: "Funding rate history CSV/JSON for the file funding source"
+  },
+  "data-source": {
+    configKey: "DATA_SOURCE",
+    valueName: "source",
+    parse: toUpperCaseOption,
+    description: "Data source: api or file"
+  },
+  "kline-file": {
+    configKey: "KLINE_FILE_PATH",
+    valueName: "file",
+    description: "Kline CSV/JSON file for the file data source"
+  },
+  "exchange-info-file": {
+    configKey: "EXCHANGE_INFO_FILE_PATH",
+    valueName: "file",
+    description: "exchangeInfo JSON snapshot for the file data source"
+  },
+  "kline-store-dir": {
+    configKey: "KLINE_STORE_DIR",
+    valueName: "dir",
+    description: "Directory of the local kline store"
+  },
+  "no-kline-store": {
+    type: "boolean",
+    configKey: "IS_KLINE_STORE_ENABLED",
+    parse: () => false,
+    description: "Always download klines instead of using the local store"
+  },
+  help: {
+    type: "boolean",
+    short: "h",
+    description: "Show this help message"
+  }
+};
+
+const getCliUsage = () => {
+  const flags = Object.entries(CLI_OPTIONS).map(
+    ([name, option]) =>
+      `${option.short ? `-${option.short}, ` : ""}--${name}${
+        option.valueName ? ` <${option.valueName}>` : ""
+      }`
+  );
+  const flagWidth = Math.max(...flags.map((flag) => flag.length)) + 2;
+  let usage = "Usage: npm run backtest -- [options]\n\nOptions:\n";
+  Object.values(CLI_OPTIONS).forEach((option, index) => {
+    usage += `  ${flags[index].padEnd(flagWidth)}${option.description}\n`;
+  });
+  return usage;
 };
 
-const getAddedNumber = ({ number, addNumber, digit }) =>
-  Number((number + addNumber).toFixed(digit));
+const RANGE_SETTING_LIMITS = {
+  RSI_LONG_PERIOD_SETTING: { min: 1, max: Infinity },
+  RSI_SHORT_PERIOD_SETTING: { min: 1, max: Infinity },
+  RSI_LONG_LEVEL_SETTING: { min: 0, max: 100 },
+  RSI_SHORT_LEVEL_SETTING: { min: 0, max: 100 },
+  MA_FAST_PERIOD_SETTING: { min: 1, max: Infinity },
+  MA_SLOW_PERIOD_SETTING: { min: 1, max: Infinity },
+  MA_TREND_PERIOD_SETTING: { min: 1, max: Infinity },
+  HTF_MA_PERIOD_SETTING: { min: 1, max: Infinity },
+  BREAKOUT_ENTRY_PERIOD_SETTING: { min: 1, max: Infinity },
+  BREAKOUT_EXIT_PERIOD_SETTING: { min: 1, max: Infinity },
+  LEVERAGE_SETTING: { min: 1, max: 125 },
+  STOP_LOSS_SETTING: { min: 0.01, max: 100, isDecimal: true },
+  TAKE_PROFIT_SETTING: { min: 0.01, max: 1000, isDecimal: true }
+};
 
 /**
- * 生成參數範圍數組
+ * 驗證參數範圍設定
  */
-const generateParameterRange = (setting) => {
-  const range = [];
-  for (
-    let value = setting.min;
-    value <= setting.max;
-    value = getAddedNumber({
-      number: value,
-      addNumber: setting.step,
-      digit: 0
-    })
-  ) {
-    range.push(value);
+const validateRangeSetting = (key, setting, limits) => {
+  if (!setting || typeof setting !== "object") {
+    return [`${key} must be an object with min, max and step`];
   }
-  return range;
+  const { min, max, step } = setting;
+  if (limits.isDecimal) {
+    if (![min, max, step].every(Number.isFinite)) {
+      return [`${key} min, max and step must be numbers`];
+    }
+  } else if (![min, max, step].every(Number.isInteger)) {
+    return [`${key} min, max and step must be integers`];
+  }
+  const errors = [];
+  if (min > max)
+    errors.push(`${key} min (${min}) is greater than max (${max})`);
+  if (step <= 0) errors.push(`${key} step must be greater than 0`);
+  if (min < limits.min || max > limits.max) {
+    errors.push(`${key} must be within ${limits.min} ~ ${limits.max}`);
+  }
+  return errors;
 };
 
 /**
- * 生成所有策略參數組合
+ * 驗證合併後的設定，錯誤時拋出包含所有問題的訊息
  */
-const getSettings = () => {
-  const settings = [];
-  const leverageRange = generateParameterRange(CONFIG.LEVERAGE_SETTING);
-  const rsiLongPeriodRange = generateParameterRange(
-    CONFIG.RSI_LONG_PERIOD_SETTING
-  );
-  const rsiShortPeriodRange = generateParameterRange(
-    CONFIG.RSI_SHORT_PERIOD_SETTING
-  );
-  const rsiLongLevelRange = generateParameterRange(
-    CONFIG.RSI_LONG_LEVEL_SETTING
-  );
-  const rsiShortLevelRange = generateParameterRange(
-    CONFIG.RSI_SHORT_LEVEL_SETTING
-  );
+const validateConfig = (config) => {
+  const errors = [];
 
-  for (const leverage of leverageRange) {
-    for (const rsiLongPeriod of rsiLongPeriodRange) {
-      for (const rsiShortPeriod of rsiShortPeriodRange) {
-        for (const rsiLongLevel of rsiLongLevelRange) {
-          for (const rsiShortLevel of rsiShortLevelRange) {
-            settings.push({
-              rsiLongPeriod,
-              rsiShortPeriod,
-              rsiLongLevel,
-              rsiShortLevel,
-              leverage
-            });
-          }
-        }
+  if (typeof config.SYMBOL !== "string" || !/^[A-Z0-9]+$/.test(config.SYMBOL)) {
+    errors.push(
+      `SYMBOL must be an uppercase trading pair, got "${config.SYMBOL}"`
+    );
+  }
+  if (!KLINE_INTERVALS.includes(config.KLINE_INTERVAL)) {
+    errors.push(
+      `KLINE_INTERVAL must be one of ${KLINE_INTERVALS.join(", ")}, got "${config.KLINE_INTERVAL}"`
+    );
+  } else if (
+    config.STRATEGY === "RSI_HTF_TREND" &&
+    !(
+      KLINE_INTERVALS.includes(config.HTF_INTERVAL) &&
+      isResamplableInterval(config.KLINE_INTERVAL, config.HTF_INTERVAL)
+    )
+  ) {
+    errors.push(
+      `HTF_INTERVAL must be a longer interval made of whole ${config.KLINE_INTERVAL} klines, got "${config.HTF_INTERVAL}"`
+    );
+  }
+  if (
+    config.KLINE_SOURCE_INTERVAL !== null &&
+    config.KLINE_SOURCE_INTERVAL !== config.KLINE_INTERVAL
+  ) {
+    if (!(
+      KLINE_INTERVALS.includes(config.KLINE_SOURCE_INTERVAL) &&
+      KLINE_INTERVALS.includes(config.KLINE_INTERVAL) &&
+      isResamplableInterval(config.KLINE_SOURCE_INTERVAL, config.KLINE_INTERVAL)
+    )) {
+      errors.push(
+        `KLINE_SOURCE_INTERVAL must be a shorter interval that makes up whole ${config.KLINE_INTERVAL} klines, got "${config.KLINE_SOURCE_INTERVAL}"`
+      );
+    }
+    if (!config.IS_KLINE_START_TIME_TO_NOW) {
+      errors.push(
+        "KLINE_SOURCE_INTERVAL requires IS_KLINE_START_TIME_TO_NOW since KLINE_LIMIT counts source klines"
+      );
+    }
+  }
+  if (!["NONE", "DROP", "FILL"].includes(config.KLINE_REPAIR)) {
+    errors.push("KLINE_REPAIR must be NONE, DROP or FILL");
+  }
+  if (!Number.isFinite(config.KLINE_START_TIME)) {
+    errors.push("KLINE_START_TIME must be a timestamp");
+  }
+  if (
+    config.KLINE_END_TIME !== null &&
+    !(config.KLINE_END_TIME > config.KLINE_START_TIME)
+  ) {
+    errors.push("KLINE_END_TIME must be later than KLINE_START_TIME");
+  }
+  for (const [key, limits] of Object.entries(RANGE_SETTING_LIMITS)) {
+    errors.push(...validateRangeSetting(key, config[key], limits));
+  }
+  if (
+    config.RANDOM_SAMPLE_NUMBER !== null &&
+    !(
+      Number.isInteger(config.RANDOM_SAMPLE_NUMBER) &&
+      config.RANDOM_SAMPLE_NUMBER > 0
+    )
+  ) {
+    errors.push("RANDOM_SAMPLE_NUMBER must be a positive integer or null");
+  }
+  if (
+    config.MAX_DRAWDOWN_THRESHOLD !== null &&
+    !(config.MAX_DRAWDOWN_THRESHOLD > 0 && config.MAX_DRAWDOWN_THRESHOLD <= 1)
+  ) {
+    errors.push("MAX_DRAWDOWN_THRESHOLD must be between 0 and 1, or null");
+  }
+  if (!(config.INITIAL_FUNDING > 0)) {
+    errors.push("INITIAL_FUNDING must be greater than 0");
+  }
+  if (!(
+    config.ORDER_AMOUNT_PERCENT > 0 && config.ORDER_AMOUNT_PERCENT <= 100
+  )) {
+    errors.push("ORDER_AMOUNT_PERCENT must be between 0 and 100");
+  }
+  for (const key of [
+    "FEE",
+    "MAKER_FEE",
+    "LIMIT_ENTRY_OFFSET_PERCENT",
+    "SLIPPAGE_BPS",
+    "SLIPPAGE_FACTOR",
+    "PYRAMIDING_MIN_DISTANCE_PERCENT"
+  ]) {
+    if (!(config[key] >= 0)) errors.push(`${key} must not be negative`);
+  }
+  if (
+    ![
+      "PERCENT",
+      "FIXED_RISK",
+      "VOLATILITY_TARGET",
+      "KELLY",
+      "FIXED_NOTIONAL"
+    ].includes(config.POSITION_SIZING)
+  ) {
+    errors.push(
+      "POSITION_SIZING must be PERCENT, FIXED_RISK, VOLATILITY_TARGET, KELLY or FIXED_NOTIONAL"
+    );
+  }
+  if (
+    config.POSITION_SIZING === "FIXED_RISK" &&
+    config.STOP_LOSS_TYPE === "NONE"
+  ) {
+    errors.push("POSITION_SIZING FIXED_RISK requires a STOP_LOSS_TYPE");
+  }
+  for (const key of [
+    "RISK_PER_TRADE_PERCENT",
+    "VOLATILITY_TARGET_PERCENT",
+    "FIXED_NOTIONAL"
+  ]) {
+    if (!(config[key] > 0)) errors.push(`${key} must be greater than 0`);
+  }
+  if (!(config.KELLY_FRACTION > 0 && config.KELLY_FRACTION <= 1)) {
+    errors.push("KELLY_FRACTION must be between 0 and 1");
+  }
+  if (!(
+    Number.isInteger(config.KELLY_MIN_TRADES) && config.KELLY_MIN_TRADES >= 0
+  )) {
+    errors.push("KELLY_MIN_TRADES must be a non-negative integer");
+  }
+  if (!["MARKET", "LIMIT"].includes(config.ENTRY_ORDER_TYPE)) {
+    errors.push("ENTRY_ORDER_TYPE must be MARKET or LIMIT");
+  }
+  if (
+    !["NONE", "FIXED", "VOLATILITY", "VOLUME"].includes(config.SLIPPAGE_MODEL)
+  ) {
+    errors.push("SLIPPAGE_MODEL must be NONE, FIXED, VOLATILITY or VOLUME");
+  }
+  if (!Number.isFinite(config.FUNDING_RATE)) {
+    errors.push("FUNDING_RATE must be a number");
+  }
+  if (!["LONG", "SHORT", "BOTH"].includes(config.TRADE_DIRECTION)) {
+    errors.push("TRADE_DIRECTION must be LONG, SHORT or BOTH");
+  }
+  if (!(config.STRATEGY in STRATEGIES)) {
+    errors.push(
+      `STRATEGY must be one of ${Object.keys(STRATEGIES).join(", ")}`
+    );
+  }
+  if (!["API", "FILE"].includes(config.DATA_SOURCE)) {
+    errors.push("DATA_SOURCE must be API or FILE");
+  }
+  if (!["API", "FILE", "CONSTANT"].includes(config.FUNDING_RATE_SOURCE)) {
+    errors.push("FUNDING_RATE_SOURCE must be API, FILE or CONSTANT");
+  } else if (
+    config.DATA_SOURCE === "FILE" &&
+    config.FUNDING_RATE_SOURCE === "API"
+  ) {
+    errors.push(
+      "FUNDING_RATE_SOURCE cannot be API when DATA_SOURCE is FILE, use FILE or CONSTANT"
+    );
+  }
+  if (!(config.OPTIMIZATION_OBJECTIVE in OBJECTIVES)) {
+    errors.push(
+      `OPTIMIZATION_OBJECTIVE must be one of ${Object.keys(OBJECTIVES).join(
+        ", "
+      )}`
+    );
+  }
+  for (const [objective, weight] of Object.entries(
+    config.OBJECTIVE_WEIGHTS || {}
+  )) {
+    if (!(objective in OBJECTIVES) || objective === "COMPOSITE") {
+      errors.push(`OBJECTIVE_WEIGHTS has an unknown objective ${objective}`);
+    }
+    if (!Number.isFinite(weight)) {
+      errors.push(`OBJECTIVE_WEIGHTS.${objective} must be a number`);
+    }
+  }
+  if (!(config.MIN_TRADES >= 0)) {
+    errors.push("MIN_TRADES must not be negative");
+  }
+  if (!(config.MIN_EXPOSURE >= 0 && config.MIN_EXPOSURE <= 100)) {
+    errors.push("MIN_EXPOSURE must be between 0 and 100");
+  }
+  if (
+    config.RESULTS_EXPORT_PATH !== null &&
+    ![".csv", ".json"].includes(extname(config.RESULTS_EXPORT_PATH))
+  ) {
+    errors.push("RESULTS_EXPORT_PATH must end with .csv or .json");
+  }
+  for (const key of ["STOP_LOSS_TYPE", "TAKE_PROFIT_TYPE"]) {
+    if (!["NONE", "PERCENT", "ATR"].includes(config[key])) {
+      errors.push(`${key} must be NONE, PERCENT or ATR`);
+    }
+  }
+  if (!["ISOLATED", "CROSSED"].includes(config.MARGIN_TYPE)) {
+    errors.push("MARGIN_TYPE must be ISOLATED or CROSSED");
+  }
+  if (config.IS_TRAILING_STOP && config.STOP_LOSS_TYPE === "NONE") {
+    errors.push("IS_TRAILING_STOP needs STOP_LOSS_TYPE PERCENT or ATR");
+  }
+  const tranches = config.TAKE_PROFIT_TRANCHES;
+  if (!(
+    Array.isArray(tranches) &&
+    tranches.length > 0 &&
+    tranches.every((percent) => percent > 0) &&
+    tranches.reduce((sum, percent) => sum + percent, 0) <= 100
+  )) {
+    errors.push(
+      "TAKE_PROFIT_TRANCHES must be positive percents adding up to at most 100"
+    );
+  } else if (
+    (tranches.length > 1 || tranches[0] < 100) &&
+    config.TAKE_PROFIT_TYPE === "NONE"
+  ) {
+    errors.push("TAKE_PROFIT_TRANCHES needs TAKE_PROFIT_TYPE PERCENT or ATR");
+  }
+  if (
+    !["OPTIMIZE", "WALK_FORWARD", "PORTFOLIO", "SCAN"].includes(config.MODE)
+  ) {
+    errors.push("MODE must be OPTIMIZE, WALK_FORWARD, PORTFOLIO or SCAN");
+  }
+  if (config.PARAMETER_SET !== null) {
+    const parameterKeys = [
+      ...(STRATEGIES[config.STRATEGY]?.parameters ?? []).map(({ key }) => key),
+      "leverage",
+      ...(config.STOP_LOSS_TYPE !== "NONE" ? ["stopLoss"] : []),
+      ...(config.TAKE_PROFIT_TYPE !== "NONE" ? ["takeProfit"] : [])
+    ];
+    for (const key of parameterKeys) {
+      if (!Number.isFinite(config.PARAMETER_SET[key])) {
+        errors.push(`PARAMETER_SET.${key} must be a number`);
+      }
+    }
+    for (const key of Object.keys(config.PARAMETER_SET)) {
+      if (!parameterKeys.includes(key)) {
+        errors.push(`PARAMETER_SET has an unknown parameter ${key}`);
+      }
+    }
+  }
+  if (
+    !Array.isArray(config.PORTFOLIO_SYMBOLS) ||
+    config.PORTFOLIO_SYMBOLS.length === 0
+  ) {
+    errors.push("PORTFOLIO_SYMBOLS must be a non-empty list");
+  }
+  // 全倉爆倉價以單一交易對的錢包餘額計算，無法反映投組內其他交易對的持倉
+  if (config.MODE === "PORTFOLIO" && config.MARGIN_TYPE === "CROSSED") {
+    errors.push("MARGIN_TYPE CROSSED is not supported in PORTFOLIO mode");
+  }
+  if (
+    !["EQUAL", "VOLATILITY_PARITY", "FIXED"].includes(
+      config.PORTFOLIO_ALLOCATION
+    )
+  ) {
+    errors.push(
+      "PORTFOLIO_ALLOCATION must be EQUAL, VOLATILITY_PARITY or FIXED"
+    );
+  }
+  if (config.PORTFOLIO_ALLOCATION === "FIXED") {
+    for (const symbol of config.PORTFOLIO_SYMBOLS || []) {
+      if (!(config.PORTFOLIO_WEIGHTS?.[symbol] > 0)) {
+        errors.push(`PORTFOLIO_WEIGHTS.${symbol} must be greater than 0`);
       }
     }
   }
+  if (
+    config.MAX_CONCURRENT_POSITIONS !== null &&
+    !(
+      Number.isInteger(config.MAX_CONCURRENT_POSITIONS) &&
+      config.MAX_CONCURRENT_POSITIONS > 0
+    )
+  ) {
+    errors.push("MAX_CONCURRENT_POSITIONS must be a positive integer or null");
+  }
+  if (
+    !["GRID", ...Object.keys(SEARCH_METHODS)].includes(config.SEARCH_METHOD)
+  ) {
+    errors.push(
+      `SEARCH_METHOD must be GRID or one of ${Object.keys(SEARCH_METHODS).join(
+        ", "
+      )}`
+    );
+  }
+  if (!Number.isInteger(config.SEARCH_SEED)) {
+    errors.push("SEARCH_SEED must be an integer");
+  }
+  if (!(
+    Number.isInteger(config.MONTE_CARLO_RUNS) && config.MONTE_CARLO_RUNS >= 0
+  )) {
+    errors.push("MONTE_CARLO_RUNS must be a non-negative integer");
+  }
+  if (!Number.isInteger(config.MONTE_CARLO_SEED)) {
+    errors.push("MONTE_CARLO_SEED must be an integer");
+  }
+  if (!(
+    Number.isInteger(config.SEARCH_POPULATION_SIZE) &&
+    config.SEARCH_POPULATION_SIZE >= 2
+  )) {
+    errors.push("SEARCH_POPULATION_SIZE must be an integer of at least 2");
+  }
+  if (
+    config.SCAN_SYMBOLS !== null &&
+    !(Array.isArray(config.SCAN_SYMBOLS) && config.SCAN_SYMBOLS.length > 0)
+  ) {
+    errors.push("SCAN_SYMBOLS must be a non-empty list or null");
+  }
+  for (const key of [
+    "WALK_FORWARD_TRAIN_BARS",
+    "WALK_FORWARD_TEST_BARS",
+    "WORKER_COUNT",
+    "LEADERBOARD_SIZE",
+    "EXIT_ATR_PERIOD",
+    "SLIPPAGE_ATR_PERIOD",
+    "SIZING_ATR_PERIOD",
+    "PYRAMIDING_LAYERS",
+    "PYRAMIDING_MIN_BARS",
+    "PORTFOLIO_VOLATILITY_BARS",
+    "SCAN_TOP_N",
+    "SEARCH_BUDGET"
+  ]) {
+    if (!(Number.isInteger(config[key]) && config[key] > 0)) {
+      errors.push(`${key} must be a positive integer`);
+    }
+  }
 
-  return settings;
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join("\n  - ")}`);
+  }
 };
 
 /**
- * Fisher-Yates 洗牌算法
+ * 讀取 --config 指定的JSON設定檔
  */
-const shuffleArray = (array) => {
-  const shuffled = [...array];
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+const loadConfigFile = async (filePath) => {
+  let fileConfig;
+  try {
+    fileConfig = JSON.parse(await readFile(filePath, "utf-8"));
+  } catch (err) {
+    throw new Error(`Cannot read config file ${filePath}: ${err.message}`);
   }
-  return shuffled;
-};
-
-const getRandomSettings = () => {
-  const settings = getSettings();
-  if (CONFIG.RANDOM_SAMPLE_NUMBER) {
-    const shuffled = shuffleArray(settings);
-    return shuffled.slice(
-      0,
-      Math.min(CONFIG.RANDOM_SAMPLE_NUMBER, shuffled.length)
+  const unknownKeys = Object.keys(fileConfig).filter((key) => !(key in CONFIG));
+  if (unknownKeys.length > 0) {
+    throw new Error(
+      `Unknown key(s) in config file ${filePath}: ${unknownKeys.join(", ")}`
     );
   }
-  return settings;
+  for (const key of ["KLINE_START_TIME", "KLINE_END_TIME"]) {
+    if (typeof fileConfig[key] === "string") {
+      fileConfig[key] = parseDateOption(fileConfig[key], key);
+    }
+  }
+  return fileConfig;
 };
 
-const getBestResult = async () => {
-  const randomSettings = getRandomSettings();
-  const progressBar = new SingleBar({}, Presets.shades_classic);
-  progressBar.start(randomSettings.length, 0);
-
-  let bestResult = { fund: 0, totalReturn: -1 };
-  const [cachedKlineData, cachedRsiData, stepSize] = await Promise.all([
-    getKlineCache(),
-    getRsiCache(),
-    getStepSize()
-  ]);
+/**
+ * 解析命令列參數並回傳覆蓋後的設定（預設值 < 設定檔 < 命令列）
+ */
+const getCommandLineConfig = async (args) => {
+  const parseArgsOptions = {};
+  for (const [name, option] of Object.entries(CLI_OPTIONS)) {
+    parseArgsOptions[name] = {
+      type: option.type || "string",
+      ...(option.short && { short: option.short })
+    };
+  }
+  const { values } = parseArgs({ args, options: parseArgsOptions });
 
-  for (const setting of randomSettings) {
-    const result = getBacktestResult({
-      shouldLogResults: false,
-      cachedKlineData,
-      cachedRsiData,
-      stepSize,
-      maxDrawdownThreshold: CONFIG.MAX_DRAWDOWN_THRESHOLD,
-      ...setting
-    });
+  if (values.help) return { isHelp: true, config: CONFIG };
 
-    if (result && result.totalReturn > bestResult.totalReturn) {
-      bestResult = result;
-    }
-    progressBar.increment();
+  const config = {
+    ...CONFIG,
+    ...(values.config && (await loadConfigFile(values.config)))
+  };
+  for (const [name, value] of Object.entries(values)) {
+    const option = CLI_OPTIONS[name];
+    if (!option.configKey) continue;
+    config[option.configKey] = option.parse ? option.parse(value, name) : value;
+  }
+  // 未指定資金費率來源時跟隨資料來源，離線資料不連線下載資金費率
+  if (config.FUNDING_RATE_SOURCE === null) {
+    config.FUNDING_RATE_SOURCE =
+      config.DATA_SOURCE === "FILE" ? "CONSTANT" : "API";
   }
 
-  progressBar.stop();
+  validateConfig(config);
+  return { isHelp: false, config };
+};
 
-  return bestResult;
+// ==================== End of Command Line Interface ====================
+
+const saveNoValidResultReport = async () => {
+  const report =
+    "\n" + "=".repeat(60) + "\nNo valid result found\n" + "=".repeat(60) + "\n";
+  const [filename] = await saveReportToFile(report);
+  console.log("\n✗ No valid result found");
+  console.log(`✓ Report saved to: ${filename}`);
 };
 
-const startTime = Date.now();
-const bestResult = await getBestResult();
-if (bestResult.fund > 0) {
+/**
+ * 以最佳參數產生完整回測報告
+ */
+const getOptimizationReport = async (
+  bestResult,
+  leaderboard,
+  startTime,
+  search = null
+) => {
   const {
     currentPositionType,
     fund,
-    rsiLongPeriod,
-    rsiShortPeriod,
-    rsiLongLevel,
-    rsiShortLevel,
-    leverage,
     totalTrades,
     winningTrades,
     losingTrades,
@@ -1349,30 +7612,38 @@ if (bestResult.fund > 0) {
     averageHoldTimeHours
   } = bestResult;
 
-  const [cachedKlineData, cachedRsiData, stepSize] = await Promise.all([
+  const [
+    cachedKlineData,
+    cachedIndicatorData,
+    symbolFilters,
+    leverageBrackets
+  ] = await Promise.all([
     getKlineCache(),
-    getRsiCache(),
-    getStepSize()
+    getIndicatorCache(),
+    getSymbolFilters(),
+    getLeverageBrackets()
   ]);
 
   const detailedResult = getBacktestResult({
     shouldLogResults: true,
     cachedKlineData,
-    cachedRsiData,
-    stepSize,
-    rsiLongPeriod,
-    rsiShortPeriod,
-    rsiLongLevel,
-    rsiShortLevel,
-    leverage
+    cachedIndicatorData,
+    symbolFilters,
+    leverageBrackets,
+    ...getStrategyParams(bestResult)
   });
 
   const spotBuyAndHoldResult = getSpotBuyAndHoldResult(
     cachedKlineData,
-    stepSize
+    symbolFilters.stepSize
   );
 
   // 計算所有回測指標
+  const metrics = calculateAllBacktestMetrics(
+    bestResult,
+    detailedResult,
+    getKlineColumns(cachedKlineData)
+  );
   const {
     bestTrade,
     worstTrade,
@@ -1390,10 +7661,13 @@ if (bestResult.fund > 0) {
     calmarRatio,
     sharpeRatio,
     sortinoRatio,
-    exposure
-  } = calculateAllBacktestMetrics(bestResult, detailedResult, cachedKlineData);
+    exposure,
+    sideStatistics,
+    exitReasonCounts
+  } = metrics;
 
   const tradeRecords = detailedResult.tradeRecords || [];
+  const monteCarlo = runMonteCarloAnalysis(tradeRecords);
 
   const endTime = Date.now();
   const totalRunTime = (endTime - startTime) / 1000;
@@ -1420,36 +7694,169 @@ if (bestResult.fund > 0) {
     sharpeRatio,
     sortinoRatio,
     exposure,
+    sideStatistics,
+    exitReasonCounts,
+    leaderboard,
+    search,
+    monteCarlo,
     totalRunTime
   });
 
-  /**
-   * 生成報告文件名
-   */
-  const generateReportFilename = () => {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    return `backtest-report-${timestamp}.txt`;
-  };
+  const jsonReport = createJsonReport({
+    bestResult,
+    metrics,
+    spotBuyAndHoldResult,
+    leaderboard,
+    search,
+    monteCarlo,
+    tradeRecords,
+    totalRunTime
+  });
 
-  /**
-   * 保存報告到文件
-   */
-  const saveReportToFile = async (report) => {
-    const filename = generateReportFilename();
-    await writeFile(filename, report, "utf-8");
-    return filename;
-  };
+  const htmlReport = createHtmlReport({
+    title: `${CONFIG.SYMBOL} ${CONFIG.KLINE_INTERVAL} Backtest Report`,
+    summaryRows: [
+      ["Parameters", formatStrategyParamsInline(bestResult)],
+      [
+        "Search",
+        search
+          ? `${search.method} (${search.evaluations} evaluations, seed ${search.seed})`
+          : "GRID"
+      ],
+      ["Trade Direction", bestResult.tradeDirection],
+      ["Final Fund", fund.toFixed(2)],
+      ["Total Return", formatSignedPercentage(totalReturn)],
+      ["Annualized Return", formatSignedPercentage(annualizedReturn)],
+      [
+        "Spot Buy & Hold Return",
+        spotBuyAndHoldResult
+          ? formatSignedPercentage(spotBuyAndHoldResult.totalReturn)
+          : "-"
+      ],
+      ["Max Drawdown", `${(maxDrawdown * 100).toFixed(2)}%`],
+      ["Sharpe Ratio", sharpeRatio.toFixed(2)],
+      ["Sortino Ratio", sortinoRatio.toFixed(2)],
+      ["Profit Factor", profitFactor.toFixed(2)],
+      ["Total Trades", String(totalTrades)],
+      ["Win Rate", `${(winRate * 100).toFixed(2)}%`],
+      [
+        "Period",
+        `${getReadableTime(backtestStartTime)} ~ ${getReadableTime(
+          backtestEndTime
+        )}`
+      ]
+    ],
+    equityCurve: detailedResult.equityCurve,
+    benchmarkCurve: getSpotBuyAndHoldCurve(
+      cachedKlineData,
+      symbolFilters.stepSize
+    ),
+    tradeRecords,
+    klineData: cachedKlineData,
+    monteCarlo
+  });
 
-  // Write report to file
-  const filename = await saveReportToFile(report);
+  return { report, jsonReport, htmlReport };
+};
 
-  // Only log minimal info
-  console.log("\n✓ Backtest completed successfully");
-  console.log(`✓ Report saved to: ${filename}`);
-} else {
-  const report =
-    "\n" + "=".repeat(60) + "\nNo valid result found\n" + "=".repeat(60) + "\n";
-  const filename = await saveReportToFile(report);
-  console.log("\n✗ No valid result found");
-  console.log(`✓ Report saved to: ${filename}`);
+const main = async () => {
+  let commandLineConfig;
+  try {
+    commandLineConfig = await getCommandLineConfig(process.argv.slice(2));
+  } catch (err) {
+    console.error(`✗ ${err.message}`);
+    console.error("Run with --help to see all options.");
+    process.exit(1);
+  }
+  if (commandLineConfig.isHelp) {
+    console.log(getCliUsage());
+    process.exit(0);
+  }
+  Object.assign(CONFIG, commandLineConfig.config);
+
+  try {
+    const startTime = Date.now();
+    let report = null;
+    let jsonReport = null;
+    let htmlReport = null;
+    if (CONFIG.MODE === "WALK_FORWARD") {
+      const walkForwardResult = await getWalkForwardResult();
+      const totalRunTime = (Date.now() - startTime) / 1000;
+      report = formatWalkForwardReport(walkForwardResult, totalRunTime);
+      jsonReport = createWalkForwardJsonReport(walkForwardResult, totalRunTime);
+      htmlReport = await createWalkForwardHtmlReport(walkForwardResult);
+    } else if (CONFIG.MODE === "PORTFOLIO") {
+      const portfolioResult = await getPortfolioResult();
+      const totalRunTime = (Date.now() - startTime) / 1000;
+      report = formatPortfolioReport(portfolioResult, totalRunTime);
+      jsonReport = createPortfolioJsonReport(portfolioResult, totalRunTime);
+      htmlReport = createPortfolioHtmlReport(portfolioResult);
+    } else if (CONFIG.MODE === "SCAN") {
+      const scanResult = await getScanResult();
+      const totalRunTime = (Date.now() - startTime) / 1000;
+      report = formatScanReport(scanResult, totalRunTime);
+      jsonReport = createScanJsonReport(scanResult, totalRunTime);
+    } else {
+      const optimizationResult = await runOptimization({
+        exportPath: CONFIG.RESULTS_EXPORT_PATH
+      });
+      const { bestResult, leaderboard } = optimizationResult;
+      let { search = null } = optimizationResult;
+      if (search && CONFIG.IS_GRID_COMPARISON_ENABLED) {
+        search = {
+          ...search,
+          gridComparison: await compareWithGridSearch(
+            optimizationResult,
+            (Date.now() - startTime) / 1000
+          )
+        };
+      }
+      if (bestResult.fund > 0) {
+        ({ report, jsonReport, htmlReport } = await getOptimizationReport(
+          bestResult,
+          leaderboard,
+          startTime,
+          search
+        ));
+      }
+    }
+
+    if (report) {
+      // Write report to file
+      const filenames = await saveReportToFile(report, {
+        jsonReport,
+        htmlReport
+      });
+
+      // Only log minimal info
+      console.log("\n✓ Backtest completed successfully");
+      console.log(`✓ Report saved to: ${filenames.join(", ")}`);
+    } else {
+      await saveNoValidResultReport();
+    }
+  } finally {
+    await terminateWorkerPool();
+  }
+};
+
+// 直接執行時才開始回測，被測試匯入時只提供函式
+const isEntryPoint =
+  process.argv[1] !== undefined &&
+  resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+
+if (!isMainThread) {
+  startBacktestWorker();
+} else if (isEntryPoint) {
+  await main();
 }
+
+export {
+  alignHigherTimeframeSeries,
+  CONFIG,
+  getHigherTimeframeIndexes,
+  getTradeReturns,
+  resampleKlines,
+  runMonteCarloAnalysis,
+  STRATEGIES,
+  validateConfig
+};
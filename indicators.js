@@ -0,0 +1,475 @@
+/**
+ * 技術指標計算：純函式，輸入K線陣列（或數值陣列），輸出以SharedArrayBuffer為底、暖機期間為NaN的數列
+ */
+
+/**
+ * 建立以SharedArrayBuffer為底的數列，可直接共享給worker，未計算的值為NaN
+ */
+const createSharedSeries = (length) => {
+  const series = new Float64Array(
+    new SharedArrayBuffer(length * Float64Array.BYTES_PER_ELEMENT)
+  );
+  series.fill(NaN);
+  return series;
+};
+
+const computeRSI = (values, periods) => {
+  const results = {};
+  const valuesLength = values.length;
+  if (valuesLength < 2) {
+    for (const period of periods)
+      results[period] = createSharedSeries(valuesLength);
+    return results;
+  }
+
+  const changesLength = valuesLength - 1;
+  const changes = new Array(changesLength);
+  for (let i = 0; i < changesLength; i++) {
+    changes[i] = values[i + 1] - values[i];
+  }
+
+  for (const period of periods) {
+    const result = createSharedSeries(valuesLength);
+    if (valuesLength < period + 1) {
+      results[period] = result;
+      continue;
+    }
+
+    let gain = 0;
+    let loss = 0;
+    for (let i = 0; i < period; i++) {
+      const change = changes[i];
+      if (change > 0) {
+        gain += change;
+      } else {
+        loss -= change;
+      }
+    }
+
+    const periodMinusOne = period - 1;
+    const periodReciprocal = 1 / period;
+
+    for (let i = period; i < valuesLength; i++) {
+      const change = changes[i - 1];
+      const maxChange = change > 0 ? change : 0;
+      const maxNegChange = change < 0 ? -change : 0;
+
+      gain = (gain * periodMinusOne + maxChange) * periodReciprocal;
+      loss = (loss * periodMinusOne + maxNegChange) * periodReciprocal;
+
+      if (loss === 0) {
+        result[i] = 100;
+      } else {
+        result[i] = 100 - 100 / (1 + gain / loss);
+      }
+    }
+
+    results[period] = result;
+  }
+
+  return results;
+};
+
+/**
+ * 計算簡單移動平均
+ */
+const computeSMA = (values, periods) => {
+  const results = {};
+  const valuesLength = values.length;
+  for (const period of periods) {
+    const result = createSharedSeries(valuesLength);
+    let sum = 0;
+    for (let i = 0; i < valuesLength; i++) {
+      sum += values[i];
+      if (i >= period) sum -= values[i - period];
+      if (i >= period - 1) result[i] = sum / period;
+    }
+    results[period] = result;
+  }
+  return results;
+};
+
+/**
+ * 計算區間極值（含當根），以單調佇列維持O(n)
+ */
+const computeRollingExtreme = (values, periods, isHighest) => {
+  const results = {};
+  const valuesLength = values.length;
+  for (const period of periods) {
+    const result = createSharedSeries(valuesLength);
+    const deque = new Int32Array(valuesLength);
+    let head = 0;
+    let tail = 0;
+    for (let i = 0; i < valuesLength; i++) {
+      while (
+        tail > head &&
+        (isHighest
+          ? values[deque[tail - 1]] <= values[i]
+          : values[deque[tail - 1]] >= values[i])
+      ) {
+        tail--;
+      }
+      deque[tail++] = i;
+      if (deque[head] <= i - period) head++;
+      if (i >= period - 1) result[i] = values[deque[head]];
+    }
+    results[period] = result;
+  }
+  return results;
+};
+
+/**
+ * 取出K線的單一欄位
+ */
+const getKlineValues = (klineData, field) => {
+  const values = new Array(klineData.length);
+  for (let i = 0; i < klineData.length; i++) values[i] = klineData[i][field];
+  return values;
+};
+
+/**
+ * 計算指數移動平均，以前period個有效值的SMA作為起始值
+ */
+const computeEMA = (values, period, startIndex = 0) => {
+  const result = createSharedSeries(values.length);
+  const firstIndex = startIndex + period - 1;
+  if (values.length <= firstIndex) return result;
+
+  let ema = 0;
+  for (let i = startIndex; i <= firstIndex; i++) ema += values[i];
+  ema /= period;
+  result[firstIndex] = ema;
+
+  const alpha = 2 / (period + 1);
+  for (let i = firstIndex + 1; i < values.length; i++) {
+    ema += alpha * (values[i] - ema);
+    result[i] = ema;
+  }
+  return result;
+};
+
+/**
+ * 計算加權移動平均，最新一根權重為period、最舊一根為1
+ */
+const computeWMA = (values, period) => {
+  const result = createSharedSeries(values.length);
+  const weightSum = (period * (period + 1)) / 2;
+  let sum = 0;
+  let weightedSum = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (i < period) {
+      sum += values[i];
+      weightedSum += (i + 1) * values[i];
+    } else {
+      weightedSum += period * values[i] - sum;
+      sum += values[i] - values[i - period];
+    }
+    if (i >= period - 1) result[i] = weightedSum / weightSum;
+  }
+  return result;
+};
+
+/**
+ * 計算真實波幅，第一根沒有前收盤價因此只用高低差
+ */
+const computeTrueRanges = (klineData) => {
+  const trueRanges = new Array(klineData.length);
+  for (let i = 0; i < klineData.length; i++) {
+    const { highPrice, lowPrice } = klineData[i];
+    if (i === 0) {
+      trueRanges[i] = highPrice - lowPrice;
+      continue;
+    }
+    const preClosePrice = klineData[i - 1].closePrice;
+    trueRanges[i] = Math.max(
+      highPrice - lowPrice,
+      Math.abs(highPrice - preClosePrice),
+      Math.abs(lowPrice - preClosePrice)
+    );
+  }
+  return trueRanges;
+};
+
+/**
+ * 計算ATR（Wilder平滑），第period根起有值
+ */
+const computeATR = (klineData, period) => {
+  const result = createSharedSeries(klineData.length);
+  if (klineData.length <= period) return result;
+  const trueRanges = computeTrueRanges(klineData);
+
+  let atr = 0;
+  for (let i = 1; i <= period; i++) atr += trueRanges[i];
+  atr /= period;
+  result[period] = atr;
+
+  for (let i = period + 1; i < klineData.length; i++) {
+    atr = (atr * (period - 1) + trueRanges[i]) / period;
+    result[i] = atr;
+  }
+  return result;
+};
+
+/**
+ * 計算布林通道，標準差為母體標準差
+ */
+const computeBollingerBands = (values, period, multiplier) => {
+  const middle = createSharedSeries(values.length);
+  const upper = createSharedSeries(values.length);
+  const lower = createSharedSeries(values.length);
+  for (let i = period - 1; i < values.length; i++) {
+    let sum = 0;
+    for (let j = i - period + 1; j <= i; j++) sum += values[j];
+    const mean = sum / period;
+    let squaredSum = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+      squaredSum += (values[j] - mean) ** 2;
+    }
+    const deviation = Math.sqrt(squaredSum / period) * multiplier;
+    middle[i] = mean;
+    upper[i] = mean + deviation;
+    lower[i] = mean - deviation;
+  }
+  return { middle, upper, lower };
+};
+
+/**
+ * 計算MACD，訊號線為MACD線的EMA
+ */
+const computeMACD = (values, fastPeriod, slowPeriod, signalPeriod) => {
+  const fastEma = computeEMA(values, fastPeriod);
+  const slowEma = computeEMA(values, slowPeriod);
+  const macd = createSharedSeries(values.length);
+  for (let i = 0; i < values.length; i++) macd[i] = fastEma[i] - slowEma[i];
+
+  const macdStartIndex = Math.max(fastPeriod, slowPeriod) - 1;
+  const signal = computeEMA(macd, signalPeriod, macdStartIndex);
+  const histogram = createSharedSeries(values.length);
+  for (let i = 0; i < values.length; i++) histogram[i] = macd[i] - signal[i];
+  return { macd, signal, histogram };
+};
+
+/**
+ * 從startIndex起計算簡單移動平均，用於前段為NaN的數列
+ */
+const computeRollingMean = (values, period, startIndex) => {
+  const result = createSharedSeries(values.length);
+  let sum = 0;
+  for (let i = startIndex; i < values.length; i++) {
+    sum += values[i];
+    if (i - startIndex >= period) sum -= values[i - period];
+    if (i - startIndex >= period - 1) result[i] = sum / period;
+  }
+  return result;
+};
+
+/**
+ * 計算慢速隨機指標，%K為原始K值的SMA、%D為%K的SMA
+ */
+const computeStochastic = (klineData, period, kSmoothing, dPeriod) => {
+  const closePrices = getKlineValues(klineData, "closePrice");
+  const { [period]: highestHighs } = computeRollingExtreme(
+    getKlineValues(klineData, "highPrice"),
+    [period],
+    true
+  );
+  const { [period]: lowestLows } = computeRollingExtreme(
+    getKlineValues(klineData, "lowPrice"),
+    [period],
+    false
+  );
+
+  // 區間無波動時原始K值取中間值50
+  const rawK = new Array(klineData.length).fill(NaN);
+  for (let i = period - 1; i < klineData.length; i++) {
+    const range = highestHighs[i] - lowestLows[i];
+    rawK[i] =
+      range === 0 ? 50 : ((closePrices[i] - lowestLows[i]) / range) * 100;
+  }
+
+  const k = computeRollingMean(rawK, kSmoothing, period - 1);
+  const d = computeRollingMean(k, dPeriod, period + kSmoothing - 2);
+  return { k, d };
+};
+
+/**
+ * 計算ADX與±DI（Wilder平滑），ADX第2*period-1根起有值
+ */
+const computeADX = (klineData, period) => {
+  const length = klineData.length;
+  const adx = createSharedSeries(length);
+  const plusDi = createSharedSeries(length);
+  const minusDi = createSharedSeries(length);
+  if (length <= period) return { adx, plusDi, minusDi };
+
+  const trueRanges = computeTrueRanges(klineData);
+  let smoothedTrueRange = 0;
+  let smoothedPlusDm = 0;
+  let smoothedMinusDm = 0;
+  let dxSum = 0;
+  let adxValue = NaN;
+
+  for (let i = 1; i < length; i++) {
+    const upMove = klineData[i].highPrice - klineData[i - 1].highPrice;
+    const downMove = klineData[i - 1].lowPrice - klineData[i].lowPrice;
+    const plusDm = upMove > downMove && upMove > 0 ? upMove : 0;
+    const minusDm = downMove > upMove && downMove > 0 ? downMove : 0;
+
+    if (i <= period) {
+      smoothedTrueRange += trueRanges[i];
+      smoothedPlusDm += plusDm;
+      smoothedMinusDm += minusDm;
+      if (i < period) continue;
+    } else {
+      smoothedTrueRange += trueRanges[i] - smoothedTrueRange / period;
+      smoothedPlusDm += plusDm - smoothedPlusDm / period;
+      smoothedMinusDm += minusDm - smoothedMinusDm / period;
+    }
+
+    const plus =
+      smoothedTrueRange === 0 ? 0 : (smoothedPlusDm / smoothedTrueRange) * 100;
+    const minus =
+      smoothedTrueRange === 0 ? 0 : (smoothedMinusDm / smoothedTrueRange) * 100;
+    const dx =
+      plus + minus === 0 ? 0 : (Math.abs(plus - minus) / (plus + minus)) * 100;
+    plusDi[i] = plus;
+    minusDi[i] = minus;
+
+    if (i < 2 * period - 1) {
+      dxSum += dx;
+    } else if (i === 2 * period - 1) {
+      adxValue = (dxSum + dx) / period;
+      adx[i] = adxValue;
+    } else {
+      adxValue = (adxValue * (period - 1) + dx) / period;
+      adx[i] = adxValue;
+    }
+  }
+  return { adx, plusDi, minusDi };
+};
+
+/**
+ * 計算滾動VWAP，價格採典型價 (高+低+收)/3，區間無成交量時取典型價
+ */
+const computeVWAP = (klineData, period) => {
+  const result = createSharedSeries(klineData.length);
+  const typicalPrices = new Array(klineData.length);
+  let priceVolumeSum = 0;
+  let volumeSum = 0;
+  for (let i = 0; i < klineData.length; i++) {
+    const { highPrice, lowPrice, closePrice, volume } = klineData[i];
+    typicalPrices[i] = (highPrice + lowPrice + closePrice) / 3;
+    priceVolumeSum += typicalPrices[i] * volume;
+    volumeSum += volume;
+    if (i >= period) {
+      priceVolumeSum -=
+        typicalPrices[i - period] * klineData[i - period].volume;
+      volumeSum -= klineData[i - period].volume;
+    }
+    if (i >= period - 1) {
+      result[i] = volumeSum > 0 ? priceVolumeSum / volumeSum : typicalPrices[i];
+    }
+  }
+  return result;
+};
+
+/**
+ * 指標定義：compute 依參數列表批次計算，回傳與參數列表同順序的數列；
+ * 多輸出指標以 outputs 列出輸出名稱，compute 回傳 { 輸出名稱: 數列 }
+ */
+const INDICATORS = {
+  RSI: {
+    compute: (klineData, paramsList) => {
+      const periods = paramsList.map(([period]) => period);
+      const results = computeRSI(
+        getKlineValues(klineData, "closePrice"),
+        periods
+      );
+      return periods.map((period) => results[period]);
+    }
+  },
+  SMA: {
+    compute: (klineData, paramsList) => {
+      const periods = paramsList.map(([period]) => period);
+      const results = computeSMA(
+        getKlineValues(klineData, "closePrice"),
+        periods
+      );
+      return periods.map((period) => results[period]);
+    }
+  },
+  EMA: {
+    compute: (klineData, paramsList) => {
+      const closePrices = getKlineValues(klineData, "closePrice");
+      return paramsList.map(([period]) => computeEMA(closePrices, period));
+    }
+  },
+  WMA: {
+    compute: (klineData, paramsList) => {
+      const closePrices = getKlineValues(klineData, "closePrice");
+      return paramsList.map(([period]) => computeWMA(closePrices, period));
+    }
+  },
+  HIGHEST: {
+    compute: (klineData, paramsList) => {
+      const periods = paramsList.map(([period]) => period);
+      const results = computeRollingExtreme(
+        getKlineValues(klineData, "highPrice"),
+        periods,
+        true
+      );
+      return periods.map((period) => results[period]);
+    }
+  },
+  LOWEST: {
+    compute: (klineData, paramsList) => {
+      const periods = paramsList.map(([period]) => period);
+      const results = computeRollingExtreme(
+        getKlineValues(klineData, "lowPrice"),
+        periods,
+        false
+      );
+      return periods.map((period) => results[period]);
+    }
+  },
+  ATR: {
+    compute: (klineData, paramsList) =>
+      paramsList.map(([period]) => computeATR(klineData, period))
+  },
+  BOLLINGER: {
+    outputs: ["middle", "upper", "lower"],
+    compute: (klineData, paramsList) => {
+      const closePrices = getKlineValues(klineData, "closePrice");
+      return paramsList.map(([period, multiplier]) =>
+        computeBollingerBands(closePrices, period, multiplier)
+      );
+    }
+  },
+  MACD: {
+    outputs: ["macd", "signal", "histogram"],
+    compute: (klineData, paramsList) => {
+      const closePrices = getKlineValues(klineData, "closePrice");
+      return paramsList.map(([fastPeriod, slowPeriod, signalPeriod]) =>
+        computeMACD(closePrices, fastPeriod, slowPeriod, signalPeriod)
+      );
+    }
+  },
+  STOCHASTIC: {
+    outputs: ["k", "d"],
+    compute: (klineData, paramsList) =>
+      paramsList.map(([period, kSmoothing, dPeriod]) =>
+        computeStochastic(klineData, period, kSmoothing, dPeriod)
+      )
+  },
+  ADX: {
+    outputs: ["adx", "plusDi", "minusDi"],
+    compute: (klineData, paramsList) =>
+      paramsList.map(([period]) => computeADX(klineData, period))
+  },
+  VWAP: {
+    compute: (klineData, paramsList) =>
+      paramsList.map(([period]) => computeVWAP(klineData, period))
+  }
+};
+
+export { createSharedSeries, INDICATORS };
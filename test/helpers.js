@@ -0,0 +1,103 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { readdir, readFile, rm } from "node:fs/promises";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+const BACKTEST_PATH = fileURLToPath(new URL("../backtest.js", import.meta.url));
+
+export const HOUR_MS = 60 * 60 * 1000;
+export const KLINE_START_TIME = Date.UTC(2024, 0, 1);
+
+/**
+ * 只有 LOT_SIZE 與 MIN_NOTIONAL 的 exchangeInfo 快照
+ */
+export const createExchangeInfo = (symbols, minQty = "0.001") => ({
+  symbols: symbols.map((symbol) => ({
+    symbol,
+    filters: [
+      {
+        filterType: "LOT_SIZE",
+        stepSize: "0.001",
+        minQty,
+        maxQty: "1000"
+      },
+      { filterType: "MIN_NOTIONAL", notional: "5" }
+    ]
+  }))
+});
+
+/**
+ * 穩定上漲、每4根回檔一次的收盤價，RSI 會持續停在高檔
+ */
+export const createTrendingPrices = (length) => {
+  const prices = [100];
+  for (let i = 0; i < length; i++) {
+    prices.push(prices[i] * (i % 4 === 3 ? 0.999 : 1.004));
+  }
+  return prices;
+};
+
+/**
+ * 以相鄰價格作為每根K線的開盤與收盤，lows 可指定某根的最低價
+ */
+export const createKlineCsv = (prices, lows = {}) => {
+  const rows = [
+    "open_time,open,high,low,close,volume,close_time,quote_volume,count,taker_buy_volume,taker_buy_quote_volume,ignore"
+  ];
+  for (let i = 0; i < prices.length - 1; i++) {
+    const openTime = KLINE_START_TIME + i * HOUR_MS;
+    const openPrice = prices[i];
+    const closePrice = prices[i + 1];
+    rows.push(
+      [
+        openTime,
+        openPrice,
+        Math.max(openPrice, closePrice) * 1.001,
+        lows[i] ?? Math.min(openPrice, closePrice) * 0.999,
+        closePrice,
+        1000,
+        openTime + HOUR_MS - 1,
+        0,
+        0,
+        0,
+        0,
+        0
+      ].join(",")
+    );
+  }
+  return rows.join("\n") + "\n";
+};
+
+/**
+ * 在 directory 內以離線資料執行回測，回傳並刪除產生的JSON報告
+ */
+export const runBacktest = async (directory, args) => {
+  await promisify(execFile)(
+    process.execPath,
+    [
+      BACKTEST_PATH,
+      "--data-source",
+      "file",
+      "--exchange-info-file",
+      join(directory, "exchangeInfo.json"),
+      "--start",
+      "2024-01-01",
+      "--workers",
+      "1",
+      ...args
+    ],
+    { cwd: directory }
+  );
+  const reportFiles = (await readdir(directory)).filter((file) =>
+    file.startsWith("backtest-report-")
+  );
+  const jsonFiles = reportFiles.filter((file) => file.endsWith(".json"));
+  assert.equal(jsonFiles.length, 1);
+  const report = JSON.parse(
+    await readFile(join(directory, jsonFiles[0]), "utf-8")
+  );
+  await Promise.all(reportFiles.map((file) => rm(join(directory, file))));
+  return report;
+};
@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  alignHigherTimeframeSeries,
+  getHigherTimeframeIndexes,
+  resampleKlines,
+  STRATEGIES
+} from "../backtest.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+// 從02:00開始，第一個4h週期（00:00-04:00）不完整
+const START_TIME = Date.UTC(2024, 0, 1, 2);
+
+const KLINES = Array.from({ length: 14 }, (_, i) => ({
+  openTime: START_TIME + i * HOUR_MS,
+  closeTime: START_TIME + (i + 1) * HOUR_MS - 1,
+  openPrice: 100 + i,
+  highPrice: 102 + i,
+  lowPrice: 99 + i,
+  closePrice: 101 + i,
+  volume: 1,
+  // 04:00 與 06:00 結算資金費率
+  fundingRate: i === 2 || i === 4 ? 0.0001 : 0
+}));
+
+describe("higher timeframe", () => {
+  it("skips the incomplete first period when resampling", () => {
+    const resampled = resampleKlines(KLINES, "4h");
+    assert.deepEqual(
+      resampled.map(({ openTime, closeTime }) => [openTime, closeTime]),
+      [4, 8, 12].map((hour) => [
+        Date.UTC(2024, 0, 1, hour),
+        Date.UTC(2024, 0, 1, hour + 4) - 1
+      ])
+    );
+    const [first] = resampled;
+    assert.equal(first.openPrice, 102);
+    assert.equal(first.highPrice, 107);
+    assert.equal(first.lowPrice, 101);
+    assert.equal(first.closePrice, 106);
+    assert.equal(first.volume, 4);
+    assert.equal(first.fundingRate, 0.0002);
+  });
+
+  it("shows a higher-timeframe bar from the base bar sharing its close time", () => {
+    const resampled = resampleKlines(KLINES, "4h");
+    const indexes = getHigherTimeframeIndexes(KLINES, resampled);
+    // 第5根（07:00-08:00）與第一根4h K線同時收盤
+    assert.deepEqual(
+      Array.from(indexes),
+      [-1, -1, -1, -1, -1, 0, 0, 0, 0, 1, 1, 1, 1, 2]
+    );
+    assert.equal(KLINES[5].closeTime, resampled[0].closeTime);
+
+    const aligned = alignHigherTimeframeSeries([10, 20, 30], indexes);
+    assert.ok(Number.isNaN(aligned[4]));
+    assert.equal(aligned[5], 10);
+    assert.equal(aligned[13], 30);
+  });
+
+  it("RSI_HTF_TREND reads the trend MA of the previous bar", () => {
+    /**
+     * 前一根收盤150、RSI 80，htfTrendMa 依序為前一根與當根的值
+     */
+    const getSignal = (htfTrendMa) =>
+      STRATEGIES.RSI_HTF_TREND.onBar(
+        {
+          positionType: "NONE",
+          canOpenLong: true,
+          canOpenShort: true,
+          params: { rsiLongLevel: 70, rsiShortLevel: 30 },
+          indicators: {
+            rsiLong: [80, 80],
+            rsiShort: [50, 50],
+            htfTrendMa
+          },
+          klineColumns: { closePrice: [150, 150] }
+        },
+        1
+      );
+    assert.equal(getSignal([100, 200]), "OPEN_LONG");
+    assert.equal(getSignal([200, 100]), "NONE");
+  });
+});
@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { INDICATORS } from "../indicators.js";
+
+const CLOSE_PRICES = [1, 2, 3, 6, 5];
+
+// [highPrice, lowPrice, closePrice, volume]
+const KLINES = [
+  [10, 8, 9, 1],
+  [11, 9, 10, 3],
+  [12, 7, 8, 0],
+  [9, 8, 8.5, 0],
+  [10, 8, 10, 2]
+].map(([highPrice, lowPrice, closePrice, volume]) => ({
+  highPrice,
+  lowPrice,
+  closePrice,
+  volume
+}));
+
+const toKlines = (closePrices) =>
+  closePrices.map((closePrice) => ({
+    highPrice: closePrice,
+    lowPrice: closePrice,
+    closePrice,
+    volume: 1
+  }));
+
+/**
+ * 逐根比對數列，expected 以 NaN 表示暖機期間
+ */
+const assertSeries = (actual, expected) => {
+  assert.equal(actual.length, expected.length);
+  expected.forEach((value, index) => {
+    if (Number.isNaN(value)) {
+      assert.ok(Number.isNaN(actual[index]), `index ${index} should be NaN`);
+    } else {
+      assert.ok(
+        Math.abs(actual[index] - value) < 1e-9,
+        `index ${index}: expected ${value}, got ${actual[index]}`
+      );
+    }
+  });
+};
+
+describe("INDICATORS", () => {
+  it("SMA averages the last period closes", () => {
+    const [sma3, sma2] = INDICATORS.SMA.compute(toKlines(CLOSE_PRICES), [
+      [3],
+      [2]
+    ]);
+    assertSeries(sma3, [NaN, NaN, 2, 11 / 3, 14 / 3]);
+    assertSeries(sma2, [NaN, 1.5, 2.5, 4.5, 5.5]);
+  });
+
+  it("EMA seeds with the SMA of the first period closes", () => {
+    const [ema] = INDICATORS.EMA.compute(toKlines(CLOSE_PRICES), [[3]]);
+    assertSeries(ema, [NaN, NaN, 2, 4, 4.5]);
+  });
+
+  it("WMA weights the newest close by period", () => {
+    const [wma] = INDICATORS.WMA.compute(toKlines(CLOSE_PRICES), [[3]]);
+    assertSeries(wma, [NaN, NaN, 14 / 6, 26 / 6, 5]);
+  });
+
+  it("ATR skips the first bar and applies Wilder smoothing", () => {
+    const [atr] = INDICATORS.ATR.compute(KLINES, [[2]]);
+    assertSeries(atr, [NaN, NaN, 3.5, 2.25, 2.125]);
+  });
+
+  it("BOLLINGER uses the population standard deviation", () => {
+    const [{ middle, upper, lower }] = INDICATORS.BOLLINGER.compute(
+      toKlines(CLOSE_PRICES),
+      [[3, 2]]
+    );
+    const deviations = [Math.sqrt(2 / 3), Math.sqrt(26) / 3, Math.sqrt(14) / 3];
+    assertSeries(middle, [NaN, NaN, 2, 11 / 3, 14 / 3]);
+    assertSeries(upper, [
+      NaN,
+      NaN,
+      ...[2, 11 / 3, 14 / 3].map((mean, i) => mean + 2 * deviations[i])
+    ]);
+    assertSeries(lower, [
+      NaN,
+      NaN,
+      ...[2, 11 / 3, 14 / 3].map((mean, i) => mean - 2 * deviations[i])
+    ]);
+  });
+
+  it("MACD starts the signal line once the slow EMA is warm", () => {
+    const [{ macd, signal, histogram }] = INDICATORS.MACD.compute(
+      toKlines(CLOSE_PRICES),
+      [[2, 3, 2]]
+    );
+    assertSeries(macd, [NaN, NaN, 0.5, 5 / 6, 4 / 9]);
+    assertSeries(signal, [NaN, NaN, NaN, 2 / 3, 14 / 27]);
+    assertSeries(histogram, [NaN, NaN, NaN, 1 / 6, -2 / 27]);
+  });
+
+  it("STOCHASTIC smooths %K and %D with simple averages", () => {
+    const [{ k, d }] = INDICATORS.STOCHASTIC.compute(KLINES, [[2, 2, 2]]);
+    assertSeries(k, [NaN, NaN, 130 / 3, 25, 65]);
+    assertSeries(d, [NaN, NaN, NaN, 205 / 6, 45]);
+  });
+
+  it("STOCHASTIC reads 50 when the range is flat", () => {
+    const [{ k }] = INDICATORS.STOCHASTIC.compute(toKlines([5, 5, 5]), [
+      [2, 1, 1]
+    ]);
+    assertSeries(k, [NaN, 50, 50]);
+  });
+
+  it("ADX averages the first period DX values before Wilder smoothing", () => {
+    const [{ adx, plusDi, minusDi }] = INDICATORS.ADX.compute(KLINES, [[2]]);
+    assertSeries(plusDi, [NaN, NaN, 100 / 7, 100 / 9, 500 / 17]);
+    assertSeries(minusDi, [NaN, NaN, 200 / 7, 200 / 9, 200 / 17]);
+    assertSeries(adx, [NaN, NaN, NaN, 100 / 3, 800 / 21]);
+  });
+
+  it("VWAP weights typical prices by volume and falls back without volume", () => {
+    const [vwap] = INDICATORS.VWAP.compute(KLINES, [[2]]);
+    assertSeries(vwap, [NaN, 9.75, 10, 8.5, 28 / 3]);
+  });
+
+  it("returns all NaN when there are fewer bars than the warm-up", () => {
+    const klines = KLINES.slice(0, 2);
+    const [atr] = INDICATORS.ATR.compute(klines, [[2]]);
+    const [ema] = INDICATORS.EMA.compute(klines, [[3]]);
+    const [{ adx }] = INDICATORS.ADX.compute(klines, [[2]]);
+    assertSeries(atr, [NaN, NaN]);
+    assertSeries(ema, [NaN, NaN]);
+    assertSeries(adx, [NaN, NaN]);
+  });
+});
@@ -0,0 +1,74 @@
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+
+import { CONFIG, getTradeReturns, runMonteCarloAnalysis } from "../backtest.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * 建立每筆持倉 holdHours 小時、首尾相接的交易紀錄
+ */
+const createTradeRecords = (pnls, holdHours = 24) =>
+  pnls.map((pnl, index) => ({
+    pnl,
+    fills: [{ fee: 0 }],
+    openTimestamp: index * holdHours * HOUR_MS,
+    closeTimestamp: (index + 1) * holdHours * HOUR_MS
+  }));
+
+const TRADE_RECORDS = createTradeRecords([10, -5, 8, -12, 3, 6, -4, 15, -7, 2]);
+
+describe("Monte Carlo analysis", () => {
+  beforeEach(() => {
+    CONFIG.INITIAL_FUNDING = 100;
+    CONFIG.MONTE_CARLO_RUNS = 200;
+    CONFIG.MONTE_CARLO_SEED = 42;
+    CONFIG.MAX_DRAWDOWN_THRESHOLD = null;
+  });
+
+  it("returns the same paths for the same seed", () => {
+    const first = runMonteCarloAnalysis(TRADE_RECORDS);
+    const second = runMonteCarloAnalysis(TRADE_RECORDS);
+    assert.deepEqual(first, second);
+
+    CONFIG.MONTE_CARLO_SEED = 7;
+    const reseeded = runMonteCarloAnalysis(TRADE_RECORDS);
+    assert.notDeepEqual(
+      reseeded.methods.BOOTSTRAP.percentiles,
+      first.methods.BOOTSTRAP.percentiles
+    );
+  });
+
+  it("keeps the final fund of every shuffled path", () => {
+    const { actual, methods } = runMonteCarloAnalysis(TRADE_RECORDS);
+    const finalFund = TRADE_RECORDS.reduce(
+      (fund, { pnl }) => fund + pnl,
+      CONFIG.INITIAL_FUNDING
+    );
+    assert.ok(Math.abs(actual.finalFund - finalFund) < 1e-9);
+    for (const value of Object.values(methods.SHUFFLE.percentiles.finalFund)) {
+      assert.ok(Math.abs(value - finalFund) < 1e-9);
+    }
+  });
+
+  it("measures time to recover from the actual trade order", () => {
+    // 第2筆跌破前高，第3筆回本：兩筆共2天
+    const { actual } = runMonteCarloAnalysis(
+      createTradeRecords([10, -5, 8, 1])
+    );
+    assert.equal(actual.recoveryDays, 2);
+  });
+
+  it("does not count the hold time of partial exits twice", () => {
+    const tradeRecords = [0, 1, 2].map((index) => ({
+      pnl: 1,
+      fills: [{ fee: 0 }],
+      openTimestamp: 0,
+      closeTimestamp: (index + 1) * 12 * HOUR_MS
+    }));
+    assert.deepEqual(
+      getTradeReturns(tradeRecords).map(({ holdDays }) => holdDays),
+      [0.5, 0.5, 0.5]
+    );
+  });
+});
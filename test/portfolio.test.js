@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import { CONFIG, validateConfig } from "../backtest.js";
+import {
+  createExchangeInfo,
+  createKlineCsv,
+  createTrendingPrices,
+  HOUR_MS,
+  KLINE_START_TIME,
+  runBacktest
+} from "./helpers.js";
+
+const KLINE_COUNT = 300;
+const CRASH_INDEX = 150;
+
+describe("portfolio", () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "backtest-portfolio-"));
+    // AAAUSDT 在第150根腰斬，5倍槓桿的多單會被強平；BBBUSDT 持續上漲
+    const crashPrices = createTrendingPrices(KLINE_COUNT);
+    for (let i = CRASH_INDEX + 1; i < crashPrices.length; i++) {
+      crashPrices[i] *= 0.5;
+    }
+    await writeFile(
+      join(directory, "AAAUSDT-1h.csv"),
+      createKlineCsv(crashPrices)
+    );
+    await writeFile(
+      join(directory, "BBBUSDT-1h.csv"),
+      createKlineCsv(createTrendingPrices(KLINE_COUNT))
+    );
+    await writeFile(
+      join(directory, "exchangeInfo.json"),
+      JSON.stringify(createExchangeInfo(["AAAUSDT", "BBBUSDT"]))
+    );
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * 以固定參數執行 AAAUSDT、BBBUSDT 投組回測
+   */
+  const runPortfolioBacktest = () =>
+    runBacktest(directory, [
+      "--mode",
+      "portfolio",
+      "--symbols",
+      "AAAUSDT,BBBUSDT",
+      "--kline-file",
+      join(directory, "{symbol}-1h.csv"),
+      "--params",
+      "rsiLongPeriod=10,rsiShortPeriod=10,rsiLongLevel=70,rsiShortLevel=30,leverage=5"
+    ]);
+
+  it("keeps running after one symbol is liquidated while equity remains", async () => {
+    const { equityCurve, tradeRecords } = await runPortfolioBacktest();
+
+    const liquidation = tradeRecords.find(
+      (trade) =>
+        trade.symbol === "AAAUSDT" && trade.exitReason === "LIQUIDATION"
+    );
+    assert.ok(liquidation);
+    assert.equal(
+      liquidation.closeTimestamp,
+      KLINE_START_TIME + (CRASH_INDEX + 1) * HOUR_MS - 1
+    );
+
+    assert.equal(equityCurve.length, KLINE_COUNT);
+    const lastTrade = tradeRecords.findLast(
+      (trade) => trade.symbol === "BBBUSDT"
+    );
+    assert.equal(lastTrade.exitReason, "END");
+    assert.equal(
+      lastTrade.closeTimestamp,
+      KLINE_START_TIME + KLINE_COUNT * HOUR_MS - 1
+    );
+    assert.ok(lastTrade.pnl > 0);
+  });
+
+  it("restores SYMBOL after loading the portfolio symbols", async () => {
+    const { config } = await runPortfolioBacktest();
+    assert.equal(config.SYMBOL, "BTCUSDT");
+  });
+
+  it("rejects cross margin", () => {
+    const config = {
+      ...CONFIG,
+      FUNDING_RATE_SOURCE: "CONSTANT",
+      MODE: "PORTFOLIO"
+    };
+    assert.doesNotThrow(() => validateConfig(config));
+    assert.throws(
+      () => validateConfig({ ...config, MARGIN_TYPE: "CROSSED" }),
+      /MARGIN_TYPE CROSSED is not supported in PORTFOLIO mode/
+    );
+  });
+});
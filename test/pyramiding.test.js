@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import {
+  createExchangeInfo,
+  createKlineCsv,
+  createTrendingPrices,
+  HOUR_MS,
+  runBacktest as runOfflineBacktest
+} from "./helpers.js";
+
+/**
+ * 以單一RSI參數組合執行回測，回傳JSON報告
+ */
+const runBacktest = (directory, args) =>
+  runOfflineBacktest(directory, [
+    "--kline-file",
+    join(directory, "BTCUSDT-1h.csv"),
+    "--rsi-long-period",
+    "10",
+    "--rsi-short-period",
+    "10",
+    "--rsi-long-level",
+    "70",
+    "--rsi-short-level",
+    "30",
+    "--order-amount-percent",
+    "30",
+    ...args
+  ]);
+
+describe("pyramiding", () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "backtest-pyramiding-"));
+    await writeFile(
+      join(directory, "BTCUSDT-1h.csv"),
+      createKlineCsv(createTrendingPrices(300))
+    );
+    await writeFile(
+      join(directory, "exchangeInfo.json"),
+      JSON.stringify(createExchangeInfo(["BTCUSDT"]))
+    );
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it("scales in while the default RSI entry signal stays active", async () => {
+    const { summary, tradeRecords } = await runBacktest(directory, [
+      "--pyramiding",
+      "3",
+      "--pyramiding-min-bars",
+      "10"
+    ]);
+    assert.equal(summary.scaleInEntries, 2);
+    assert.equal(tradeRecords[0].fills.length, 3);
+    const [first, second, third] = tradeRecords[0].fills;
+    assert.ok(second.openTimestamp - first.openTimestamp >= 10 * HOUR_MS);
+    assert.ok(third.openTimestamp - second.openTimestamp >= 10 * HOUR_MS);
+  });
+
+  it("waits for the minimum price distance before adding a layer", async () => {
+    const { tradeRecords } = await runBacktest(directory, [
+      "--pyramiding",
+      "2",
+      "--pyramiding-min-bars",
+      "1",
+      "--pyramiding-min-distance",
+      "5"
+    ]);
+    const [first, second] = tradeRecords[0].fills;
+    assert.ok(second.openPrice >= first.openPrice * 1.05);
+  });
+
+  it("keeps a single entry without pyramiding", async () => {
+    const { summary } = await runBacktest(directory, []);
+    assert.equal(summary.scaleInEntries, 0);
+  });
+});
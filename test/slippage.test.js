@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import {
+  createExchangeInfo,
+  createKlineCsv,
+  createTrendingPrices,
+  HOUR_MS,
+  KLINE_START_TIME,
+  runBacktest
+} from "./helpers.js";
+
+const PRICES = createTrendingPrices(300);
+
+describe("slippage", () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "backtest-slippage-"));
+    await writeFile(join(directory, "BTCUSDT-1h.csv"), createKlineCsv(PRICES));
+    await writeFile(
+      join(directory, "exchangeInfo.json"),
+      JSON.stringify(createExchangeInfo(["BTCUSDT"]))
+    );
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it("caps the volume impact and closes at the end without slippage", async () => {
+    // 成交量1000、衝擊係數1000時未設上限的滑價比例遠大於1
+    const { tradeRecords } = await runBacktest(directory, [
+      "--kline-file",
+      join(directory, "BTCUSDT-1h.csv"),
+      "--rsi-long-period",
+      "10",
+      "--rsi-short-period",
+      "10",
+      "--rsi-long-level",
+      "70",
+      "--rsi-short-level",
+      "30",
+      "--order-amount-percent",
+      "30",
+      "--slippage",
+      "volume",
+      "--slippage-bps",
+      "0",
+      "--slippage-factor",
+      "1000"
+    ]);
+    assert.equal(tradeRecords.length, 1);
+    const [trade] = tradeRecords;
+    const entryIndex = (trade.openTimestamp - KLINE_START_TIME) / HOUR_MS;
+    assert.ok(Math.abs(trade.openPrice - PRICES[entryIndex] * 1.5) < 1e-9);
+
+    assert.equal(trade.exitReason, "END");
+    assert.equal(trade.closePrice, PRICES[PRICES.length - 1]);
+  });
+});
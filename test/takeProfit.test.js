@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, before, describe, it } from "node:test";
+
+import {
+  createExchangeInfo,
+  createKlineCsv,
+  createTrendingPrices,
+  runBacktest as runOfflineBacktest
+} from "./helpers.js";
+
+/**
+ * 以1%停利距離執行回測，回傳第一筆持倉的平倉紀錄
+ */
+const runBacktest = async (directory, tranches) => {
+  const { tradeRecords } = await runOfflineBacktest(directory, [
+    "--kline-file",
+    join(directory, "BTCUSDT-1h.csv"),
+    "--rsi-long-period",
+    "10",
+    "--rsi-short-period",
+    "10",
+    "--rsi-long-level",
+    "70",
+    "--rsi-short-level",
+    "30",
+    "--order-amount-percent",
+    "30",
+    "--take-profit-type",
+    "percent",
+    "--take-profit",
+    "1",
+    "--take-profit-tranches",
+    tranches
+  ]);
+  return tradeRecords.filter(
+    ({ openTimestamp }) => openTimestamp === tradeRecords[0].openTimestamp
+  );
+};
+
+const getTotalQuantity = (records) =>
+  records.reduce((sum, { quantity }) => sum + quantity, 0);
+
+describe("take-profit tranches", () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "backtest-take-profit-"));
+    // 上漲200根觸發停利，之後連跌讓 RSI 跌破30以訊號出場
+    const prices = createTrendingPrices(200);
+    for (let i = 0; i < 60; i++) {
+      prices.push(prices[prices.length - 1] * 0.99);
+    }
+    await writeFile(join(directory, "BTCUSDT-1h.csv"), createKlineCsv(prices));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  const writeExchangeInfo = (minQty) =>
+    writeFile(
+      join(directory, "exchangeInfo.json"),
+      JSON.stringify(createExchangeInfo(["BTCUSDT"], minQty))
+    );
+
+  it("closes half at the target and the rest on the exit signal", async () => {
+    await writeExchangeInfo();
+    const records = await runBacktest(directory, "50");
+    assert.equal(records.length, 2);
+    const [takeProfit, remainder] = records;
+    const totalQuantity = getTotalQuantity(records);
+
+    assert.equal(takeProfit.exitReason, "TAKE_PROFIT");
+    assert.equal(takeProfit.isPartial, true);
+    assert.ok(Math.abs(takeProfit.quantity - totalQuantity / 2) <= 0.001);
+    assert.ok(
+      Math.abs(takeProfit.fills[0].quantity - takeProfit.quantity) < 1e-9
+    );
+
+    assert.equal(remainder.exitReason, "SIGNAL");
+    assert.equal(remainder.isPartial, false);
+    assert.ok(
+      Math.abs(
+        remainder.fills[0].quantity - (totalQuantity - takeProfit.quantity)
+      ) < 1e-9
+    );
+  });
+
+  it("carries tranches skipped below the minimum quantity into the next one", async () => {
+    // 約0.29的持倉每批20%低於最小數量0.1，第二批補上第一批後平掉40%
+    await writeExchangeInfo("0.1");
+    const records = await runBacktest(directory, "20,20,20");
+    assert.equal(records.length, 2);
+    const [takeProfit, remainder] = records;
+    const totalQuantity = getTotalQuantity(records);
+
+    assert.equal(takeProfit.exitReason, "TAKE_PROFIT");
+    assert.equal(takeProfit.isPartial, true);
+    assert.ok(Math.abs(takeProfit.quantity - totalQuantity * 0.4) <= 0.001);
+    assert.equal(remainder.exitReason, "SIGNAL");
+  });
+});